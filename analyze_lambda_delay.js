@@ -2,6 +2,10 @@
 
 const fs = require('fs');
 const path = require('path');
+const { LogDataset, expandLogPaths, readLog } = require('./log_reader.js');
+const { selectProfile, profileReadOptions } = require('./log_profiles.js');
+const { applyFilters, changeNoise, robustSpread } = require('./signal_filters.js');
+const { TimeSeries } = require('./time_series.js');
 
 // Configuration
 const CONFIG = {
@@ -10,174 +14,2033 @@ const CONFIG = {
   PW_CHANGE_THRESHOLD: 0.5, // Minimum PW change to detect (ms)
   LAMBDA_CHANGE_THRESHOLD: 0.05, // Minimum lambda change to detect
   MAX_DELAY_MS: 2000,     // Maximum reasonable delay (ms)
-  BUCKET_COUNT: 3         // 3x3 grid
+  SEGMENT_MAX_GAP_MS: 200, // Samples further apart start a new log segment; no event spans two segments (ms)
+  MULTI_FILE: 'pool',     // Several logs: 'pool' (events pooled on a shared grid) or 'stitch' (one timeline by Capture Date)
+  STITCH_CLOCK_TOLERANCE_MS: 2000, // Stitched file whose Time column is this close to its Capture Date keeps its own times (ms)
+  LAMBDA_FILTERS: [],     // Filter chain for lambda before detection, e.g. [{ type: 'median', window: 5 }] (see signal_filters.js)
+  PW_FILTERS: [],         // Filter chain for PW (and PW2) before detection
+  LAMBDA_NOISE_MULTIPLE: null, // Lambda threshold as a multiple of the measured lambda noise (LAMBDA_CHANGE_THRESHOLD when null)
+  STIMULUS_NOISE_MULTIPLE: null, // Step threshold as a multiple of the measured PW/fuel noise (PW/FUEL_CHANGE_THRESHOLD when null)
+  REVS_PER_CYCLE: 2,      // Crank revolutions per engine cycle (2 for a four-stroke)
+  AGGREGATE_DOMAIN: 'ms', // 'ms', or 'cycles' (cell median over engine cycles, converted back to ms at the cell's RPM)
+  DISPLAY_UNITS: 'ms',    // Unit of the console delay table: 'ms', 'revs' or 'cycles'
+  TIMING_INTERPOLATION: 'none', // Step and threshold-crossing times: 'none' (sample times), 'linear' or 'spline'
+  STIMULUS: 'pw',         // 'pw' (raw pulsewidth steps) or 'fuel' (effective fuel, relative steps)
+  FUEL_CHANGE_THRESHOLD: 10, // Minimum relative fuel change to detect in 'fuel' mode (%)
+  INJECTOR_DEAD_TIME: [[8, 1.5], [10, 1.2], [12, 1.0], [14, 0.85], [16, 0.75]], // [Battery V, ms] curve, or a constant (ms)
+  FUEL_PER_TIME: false,   // Normalise by RPM to fuel per unit time instead of per injection
+  STAGED_INJECTION: false, // Add the staged secondary channel (PW2) to the fuel
+  STAGED_FLOW_RATIO: 1.0, // Secondary / primary injector flow rate
+  BUCKET_COUNT: 3,        // 3x3 grid (default row/column count in percentile mode)
+  GRID_MODE: 'percentile', // 'percentile' (data-driven) or 'fixed' (explicit breakpoints)
+  RPM_BUCKETS: null,      // Percentile mode row count (defaults to BUCKET_COUNT)
+  LOAD_BUCKETS: null,     // Percentile mode column count (defaults to BUCKET_COUNT)
+  RPM_BREAKPOINTS: null,  // Fixed mode RPM axis, e.g. the firmware's defaultLDRPM
+  LOAD_BREAKPOINTS: null, // Fixed mode load axis, e.g. the firmware's defaultLDLoad
+  ESTIMATOR: 'threshold', // 'threshold' (PW step events) or 'xcorr' (cross-correlation)
+  XCORR_WINDOW_MS: 5000,  // Length of each cross-correlation window (ms)
+  XCORR_WINDOW_STEP_MS: 2500, // Distance between window starts (ms)
+  XCORR_LAG_STEP_MS: 20,  // Lag resolution searched up to MAX_DELAY_MS (ms)
+  XCORR_MIN_CORRELATION: 0.3, // Minimum peak correlation for a window to count
+  BOOTSTRAP_SAMPLES: 1000, // Resamples behind each cell's confidence interval
+  CONFIDENCE_LEVEL: 0.95, // Coverage of the confidence intervals
+  BOOTSTRAP_SEED: 1,      // PRNG seed, so repeated runs give the same intervals
+  QUALITY_GRADES: [       // First grade whose limits a cell meets ('D' otherwise); CI width relative to the median
+    { grade: 'A', minCount: 20, maxRelativeCi: 0.2 },
+    { grade: 'B', minCount: 10, maxRelativeCi: 0.4 },
+    { grade: 'C', minCount: 5, maxRelativeCi: 0.8 }
+  ],
+  HISTOGRAM_BIN_MS: 50,   // Width of the per-cell delay histogram bins (ms)
+  KDE_BANDWIDTH_MS: null, // Kernel density bandwidth (ms); Silverman's rule when null
+  KDE_STEP_MS: 10,        // Resolution the density is evaluated at (ms)
+  MODE_MIN_EVENTS: 6,     // Measurements needed before looking for several modes
+  MODE_MIN_WEIGHT: 0.15,  // Share of a cell's measurements a mode must hold
+  VALLEY_DEPTH: 0.6,      // Density below this fraction of the smaller neighbouring peak is a valley
+  EVENT_WEIGHTING: false, // Weight each event by its quality score in the cell median
+  EVENT_SNR_FULL: 5,      // Step size (in units of PW noise) that earns a full step score
+  EVENT_PRE_WINDOW_MS: 500, // Window before each step where lambda should be stable (ms)
+  EVENT_INTERVENING_PENALTY: 0.3, // Score factor when another step comes before the response
+  OUTLIER_FILTER: 'none', // 'hampel' (reject beyond HAMPEL_K scaled MADs of the cell median) or 'none'
+  HAMPEL_K: 3,            // Hampel rejection threshold (scaled MADs)
+  OUTLIER_MIN_EVENTS: 5,  // Events a cell needs before outliers are rejected
+  STEP_QUALIFICATION: false, // Only time steps with stable PW before and after them
+  STEP_PRE_STABLE_MS: 200, // PW must have held this long before a step (ms)
+  STEP_SETTLE_MS: 200,    // PW must hold this long after a step (ms)
+  STEP_TOLERANCE: 0.5,    // Allowed PW drift in those windows, as a fraction of the step threshold
+  AMBIGUOUS_STEPS: 'discard', // 'discard' or 'merge' events with another step before the response
+  DIRECTION_MIN_EVENTS: 3, // Events per direction needed to test rich vs lean delays in a cell
+  DIRECTION_ALPHA: 0.05,  // Significance level of the rich vs lean test
+  FOPDT_WINDOW_MS: 1500,  // Lambda response window fitted after each PW step (ms)
+  FOPDT_MIN_R2: 0.5,      // Minimum fit quality to keep a dead time/time constant
+  DFCO_EVENTS: false,     // Use DFCO entry/exit edges as a separate event source (keeps fuel cut rows)
+  DFCO_RESPONSE: 'swing', // 'saturation' (lambda crosses DFCO_LEAN/RICH_LAMBDA) or 'swing' (% of the lambda swing)
+  DFCO_LEAN_LAMBDA: 1.3,  // Saturation level after a fuel cut entry
+  DFCO_RICH_LAMBDA: 1.05, // Level counted as fuelled again after an exit
+  DFCO_SWING_PERCENT: 50, // Part of the lambda swing counted as the response in 'swing' mode
+  DFCO_MIN_SWING: 0.1,    // Minimum lambda swing for an edge to count in 'swing' mode
+  DFCO_IGNORE_EXCLUSIONS: ['dfco', 'accelEnrich', 'engineTransient'], // Exclusions inherent to a fuel cut
+  DFCO_MERGE: false,      // Merge DFCO delays into the delay table (threshold estimator)
+  STEP_WEIGHT: 1.0,       // Weight of each PW-step delay when merging
+  DFCO_WEIGHT: 1.0,       // Weight of each DFCO delay when merging
+  MODEL_FILL: true,       // Fill N/A cells from the exhaust transport model
+  MODEL_MIN_MEASUREMENTS: 10, // Measurements needed before the model is fitted
+  PROFILE: 'auto',        // Log format profile ('auto', 'speeduino', 'rusefi', 'megasquirt', 'generic')
+  STOICH_AFR: null,       // Stoich ratio for AFR -> lambda (profile default when null)
+  LOAD_SOURCE: 'auto',    // 'auto', 'fuelLoad', 'map' or 'tps' (alpha-N)
+  TIME_UNITS: null,       // 's' or 'ms' to override the profile's time units
+  COLUMN_ALIASES: null,   // Extra { signal: ['Header', ...] } aliases tried first
+  EXCLUSION_RULES: []     // Samples matching a rule are excluded (first match gives the reason); a list, or a preset name ('transients')
+};
+
+// Named EXCLUSION_RULES lists
+const EXCLUSION_PRESETS = {
+  // Speeduino enrichment, closed-loop and transient states
+  transients: [
+    { reason: 'accelEnrich', signal: 'accelEnrich', op: '!=', value: 100 },
+    { reason: 'warmupEnrich', signal: 'warmup', op: '>', value: 100 },
+    { reason: 'closedLoopEgo', signal: 'ego', op: '!=', value: 100 },
+    { reason: 'coldEngine', signal: 'clt', op: '<', value: 60 },
+    { reason: 'dfco', signal: 'dfco', op: '!=', value: 0 },
+    { reason: 'syncLoss', signal: 'syncLoss', op: 'changed' },
+    { reason: 'engineTransient', signal: 'engine', op: 'bits', value: 0xFE } // Any status bit but "running"
+  ]
+};
+
+// Exclusion rule operators: (value, rule value, previous sample's value)
+const EXCLUSION_TESTS = {
+  '==': (v, x) => v === x,
+  '!=': (v, x) => v !== x,
+  '<': (v, x) => v < x,
+  '<=': (v, x) => v <= x,
+  '>': (v, x) => v > x,
+  '>=': (v, x) => v >= x,
+  'bits': (v, x) => (v & x) !== 0,
+  'changed': (v, x, previous) => v !== previous
+};
+
+// Small seeded PRNG (mulberry32) returning floats in [0, 1), so bootstrap
+// results are reproducible
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Capture Date of a log from its preamble ("Capture Date: Sat May 17
+// 16:52:39 BST 2025") as { time (ms), text }, or null. The zone name is
+// dropped, so the times are only good for comparing one session's files.
+function captureDate(preamble) {
+  for (const line of preamble) {
+    const match = line.match(/Capture Date:\s*([^"]+)/i);
+    if (!match) continue;
+    const text = match[1].trim();
+    const time = Date.parse(text.replace(/\s+[A-Z]{2,5}(?=\s+\d{4}$)/, ''));
+    return isNaN(time) ? null : { time, text };
+  }
+  return null;
+}
+
+// Units the delay tables can be built in: console label and decimals kept
+const TABLE_UNITS = {
+  ms: { label: 'milliseconds', decimals: 1 },
+  revs: { label: 'crank revolutions', decimals: 2 },
+  cycles: { label: 'engine cycles', decimals: 2 }
 };
 
 class LambdaDelayAnalyzer {
   constructor(filename, config = null) {
     this.filename = filename;
-    this.config = config || CONFIG;
-    this.data = [];
-    this.buckets = Array.from({ length: this.config.BUCKET_COUNT }, () =>
-      Array.from({ length: this.config.BUCKET_COUNT }, () => ({
-        data: [],
-        delays: []
+    this.config = { ...CONFIG, ...config };
+    this.data = null; // LogDataset, filled by parseFile
+
+    const grid = LambdaDelayAnalyzer.gridSize(this.config);
+    this.rpmBucketCount = grid.rows;
+    this.loadBucketCount = grid.cols;
+    this.buckets = Array.from({ length: this.rpmBucketCount }, (_, i) =>
+      Array.from({ length: this.loadBucketCount }, (_, j) => ({
+        rpmBucket: i,
+        loadBucket: j,
+        samples: [], // Indices into this.data
+        events: [],
+        rejections: {}, // Rejected event (or xcorr window) counts by reason
+        rejected: [], // PW-step events rejected by the exclusion rules or outlier filter
+        dfcoEvents: [],
+        dfcoRejections: {},
+        delays: [],
+        deadTimes: [],
+        timeConstants: []
       }))
     );
   }
 
-  // Parse TSV file
+  // Number of RPM rows and load columns the config produces
+  static gridSize(config) {
+    const merged = { ...CONFIG, ...config };
+    if (merged.GRID_MODE === 'fixed') {
+      if (!Array.isArray(merged.RPM_BREAKPOINTS) || !Array.isArray(merged.LOAD_BREAKPOINTS)) {
+        throw new Error('Fixed grid mode requires RPM_BREAKPOINTS and LOAD_BREAKPOINTS');
+      }
+      return { rows: merged.RPM_BREAKPOINTS.length, cols: merged.LOAD_BREAKPOINTS.length };
+    }
+    if (merged.GRID_MODE !== 'percentile') {
+      throw new Error(`Unknown grid mode: ${merged.GRID_MODE}`);
+    }
+    return {
+      rows: merged.RPM_BUCKETS || merged.BUCKET_COUNT,
+      cols: merged.LOAD_BUCKETS || merged.BUCKET_COUNT
+    };
+  }
+
+  // Stream the log (.msl text or .mlg binary) into columnar arrays, keeping
+  // only the columns the analysis uses and the rows that pass MIN_RPM /
+  // MIN_PW. Column names, AFR -> lambda and time units come from the log
+  // format profile. With DFCO_EVENTS, fuel cut rows below MIN_PW are kept
+  // too and flagged in this.fuelCut; they never count as fuelled samples.
+  //
+  // The filename may also be a directory, a glob or a list of them. Several
+  // logs are joined into one dataset: pooled (MULTI_FILE 'pool', every file
+  // its own segments) or stitched into one timeline ('stitch'). Pooled files
+  // keep their own clocks, so this.data.time is not monotonic: time lookups
+  // must pass a segment of this.series.
   parseFile() {
-    console.log(`Reading file: ${this.filename}`);
-    const content = fs.readFileSync(this.filename, 'utf-8');
-    const lines = content.split('\n');
+    const files = expandLogPaths(this.filename);
+    const mode = this.config.MULTI_FILE;
+    if (!['pool', 'stitch'].includes(mode)) {
+      throw new Error(`Unknown multi-file mode: ${mode}`);
+    }
+    console.log(files.length > 1 ? `${mode === 'pool' ? 'Pooling' : 'Stitching'} ${files.length} files:`
+      : `Reading file: ${files[0]}`);
+
+    const fuelled = row => row.rpm >= this.config.MIN_RPM && row.pw >= this.config.MIN_PW;
+    const fuelCut = row => this.config.DFCO_EVENTS && row.rpm >= this.config.MIN_RPM && row.dfco > 0;
 
-    // Line 3 (index 2) contains headers
-    const headers = lines[2].split('\t');
-    const timeIdx = headers.indexOf('Time');
-    const rpmIdx = headers.indexOf('RPM');
-    const pwIdx = headers.indexOf('PW');
-    const lambdaIdx = headers.indexOf('Lambda');
-    const loadIdx = headers.indexOf('FuelLoad');
+    // Each file is read with its own profile, so logs from different ECUs
+    // can be pooled: every one gets its own column aliases, units and stoich
+    const logs = files.map(file => {
+      const profile = selectProfile(file, this.config);
+      let firstTime = null; // Of the first row read, kept or not
+      const log = readLog(file, {
+        ...profileReadOptions(profile, this.config),
+        accept: row => {
+          if (firstTime === null) firstTime = row.time;
+          return fuelled(row) || fuelCut(row);
+        }
+      });
+      return { file, firstTime, profile, ...log };
+    });
+    const profileNames = [...new Set(logs.map(log => log.profile.name))];
+    this.profile = { ...logs[0].profile, name: profileNames.join('+') };
+    this.sourceFiles = null;
+    const { dataset, format, sources } = logs.length === 1 ? logs[0]
+      : this.joinLogs(mode === 'stitch' ? this.stitchLogs(logs) : logs);
+
+    // Exhaust mass flow proxy for the transport model; fall back to RPM x MAP
+    // (or RPM x load) when it is not logged
+    if (!dataset.hasColumn('mapRpm')) {
+      const pressure = dataset.hasColumn('map') ? dataset.map : dataset.load;
+      dataset.setColumn('mapRpm', dataset.rpm.map((rpm, i) => rpm * pressure[i]));
+    }
 
-    if (timeIdx === -1 || rpmIdx === -1 || pwIdx === -1 || lambdaIdx === -1 || loadIdx === -1) {
-      throw new Error('Required columns not found in file');
+    this.data = dataset;
+    this.columnSources = sources;
+    console.log(`Profile: ${this.profile.name} (${format} format), ` +
+                `columns: ${Object.entries(sources).map(([k, v]) => `${k}=${v}`).join(', ')}`);
+    this.fuelCut = new Uint8Array(this.data.length);
+    let cutSamples = 0;
+    for (let k = 0; k < this.data.length; k++) {
+      if (this.data.pw[k] < this.config.MIN_PW) {
+        this.fuelCut[k] = 1;
+        cutSamples++;
+      }
+    }
+    console.log(`Loaded ${this.data.length - cutSamples} valid data points` +
+                (cutSamples > 0 ? ` (+${cutSamples} DFCO samples)` : ''));
+    this.segmentLog();
+    this.sampleRate = this.sampleRateStats();
+    if (this.sampleRate) {
+      console.log(`Sample interval: median ${this.sampleRate.medianIntervalMs} ms ` +
+                  `(${this.sampleRate.medianRateHz} Hz), 95th percentile ${this.sampleRate.p95IntervalMs} ms`);
+    }
+
+    this.conditionSignals();
+    this.markExclusions();
+  }
+
+  // Order the logs of one session by Capture Date and set the time offset
+  // that puts each on a single timeline. A file's Time column normally
+  // continues the logger clock of the previous file (a dropout starts a new
+  // file) and is kept when it agrees with the Capture Date to within
+  // STITCH_CLOCK_TOLERANCE_MS. Otherwise the clock restarted, and the file
+  // is shifted to where its Capture Date puts it. Gaps between the files
+  // then split the timeline into segments.
+  stitchLogs(logs) {
+    for (const log of logs) {
+      log.captureDate = captureDate(log.preamble);
+      if (!log.captureDate) {
+        throw new Error(`Cannot stitch ${log.file}: no Capture Date in its header`);
+      }
+    }
+    const ordered = logs.filter(log => log.firstTime !== null)
+      .sort((a, b) => a.captureDate.time - b.captureDate.time);
+    if (ordered.length === 0) {
+      throw new Error('No data rows in the stitched files');
     }
 
-    // Parse data starting from line 4 (index 3)
-    for (let i = 3; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
+    // Wall-clock second (by Capture Date) at time zero of the first file
+    const origin = ordered[0].captureDate.time / 1000 - ordered[0].firstTime;
+    const tolerance = this.config.STITCH_CLOCK_TOLERANCE_MS / 1000;
+    let lastTime = -Infinity;
+    for (const log of ordered) {
+      const drift = log.firstTime - (log.captureDate.time / 1000 - origin);
+      log.offset = Math.abs(drift) <= tolerance && log.firstTime > lastTime ? 0 : -drift;
+      const { time, length } = log.dataset;
+      if (length === 0) continue;
+      if (time[0] + log.offset <= lastTime) {
+        throw new Error(`Cannot stitch ${log.file}: it overlaps the previous file`);
+      }
+      lastTime = time[length - 1] + log.offset;
+    }
+    return ordered;
+  }
 
-      const fields = line.split('\t');
-      const time = parseFloat(fields[timeIdx]);
-      const rpm = parseFloat(fields[rpmIdx]);
-      const pw = parseFloat(fields[pwIdx]);
-      const lambda = parseFloat(fields[lambdaIdx]);
-      const load = parseFloat(fields[loadIdx]);
+  // Concatenate several logs into one dataset, shifting each by its stitch
+  // offset. Only the columns every file has are kept. this.sourceFiles
+  // records each file's sample range and this.sampleFile the file of every
+  // sample.
+  joinLogs(logs) {
+    const columns = logs[0].dataset.columnNames
+      .filter(name => logs.every(log => log.dataset.hasColumn(name)));
+    const dropped = [...new Set(logs.flatMap(log => log.dataset.columnNames))]
+      .filter(name => !columns.includes(name));
 
-      // Filter invalid data
-      if (isNaN(time) || isNaN(rpm) || isNaN(pw) || isNaN(lambda) || isNaN(load)) continue;
-      if (rpm < this.config.MIN_RPM || pw < this.config.MIN_PW) continue;
+    const dataset = new LogDataset(columns);
+    const row = {};
+    this.sourceFiles = [];
+    for (const log of logs) {
+      const source = log.dataset;
+      const offset = log.offset || 0;
+      const start = dataset.length;
+      for (let k = 0; k < source.length; k++) {
+        for (const name of columns) row[name] = source[name][k];
+        row.time += offset;
+        dataset.push(row);
+      }
 
-      this.data.push({ time, rpm, pw, lambda, load });
+      this.sourceFiles.push({
+        file: log.file,
+        profile: log.profile.name,
+        captureDate: log.captureDate ? log.captureDate.text : null,
+        timeOffsetS: Math.round(offset * 1000) / 1000,
+        start: start,
+        end: dataset.length - 1,
+        samples: source.length
+      });
+      console.log(`  ${log.file} [${log.profile.name}]` + (log.captureDate ? ` (${log.captureDate.text})` : '') +
+                  `: ${source.length} samples` + (offset !== 0 ? `, shifted ${offset.toFixed(3)} s` : ''));
     }
+    if (dropped.length > 0) {
+      console.log(`Columns not in every file, not used: ${dropped.join(', ')}`);
+    }
+
+    this.sampleFile = new Uint16Array(dataset.length);
+    this.sourceFiles.forEach((source, f) => this.sampleFile.fill(f, source.start, source.end + 1));
 
-    console.log(`Loaded ${this.data.length} valid data points`);
+    const formats = [...new Set(logs.map(log => log.format))];
+    // Header each column was read from, all of them when the files differ
+    const sources = Object.fromEntries(columns.map(key =>
+      [key, [...new Set(logs.map(log => log.sources[key]))].join(' | ')]));
+    return { dataset: dataset.trim(), format: formats.join('+'), sources };
   }
 
-  // Determine bucket boundaries based on data distribution
-  calculateBucketBoundaries() {
-    const rpms = this.data.map(d => d.rpm).sort((a, b) => a - b);
-    const loads = this.data.map(d => d.load).sort((a, b) => a - b);
+  // Split the loaded samples into continuous segments: a new segment starts
+  // where the time goes backwards or repeats (logger restart or reconnect),
+  // jumps by more than SEGMENT_MAX_GAP_MS (dropout, or rows filtered out)
+  // or, when pooling, where the next file begins. Events, filters and
+  // cross-correlation windows stay inside one segment. Each segment's sample
+  // rate is reported.
+  segmentLog() {
+    const maxGapMs = this.config.SEGMENT_MAX_GAP_MS;
+    const breaks = this.sourceFiles && this.config.MULTI_FILE === 'pool'
+      ? this.sourceFiles.slice(1).map(source => source.start) : [];
+    this.series = new TimeSeries(this.data.time, {}, { maxGap: maxGapMs / 1000, breaks });
+    const { time } = this.data;
+    const round = (value, places) => Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
 
-    const percentile = (arr, p) => arr[Math.floor(arr.length * p)];
+    let gaps = 0;
+    let timeResets = 0;
+    let fileBreaks = 0;
+    const segments = this.series.segments.map((segment, s) => {
+      if (s > 0) {
+        if (this.series.breaks.has(segment.start)) fileBreaks++;
+        else if (time[segment.start] > time[segment.start - 1]) gaps++;
+        else timeResets++;
+      }
+      const intervals = [];
+      for (let k = segment.start + 1; k <= segment.end; k++) intervals.push((time[k] - time[k - 1]) * 1000);
+      const medianInterval = intervals.length > 0 ? this.median(intervals) : null;
+      return {
+        start: segment.start,
+        end: segment.end,
+        samples: segment.end - segment.start + 1,
+        startTime: round(segment.startTime, 3),
+        durationS: round(segment.endTime - segment.startTime, 3),
+        medianRateHz: medianInterval ? round(1000 / medianInterval, 2) : null
+      };
+    });
+    this.segmentation = { maxGapMs, count: segments.length, gaps, timeResets, fileBreaks, segments };
 
-    this.rpmBoundaries = [
-      rpms[0],
-      percentile(rpms, 1/3),
-      percentile(rpms, 2/3),
-      rpms[rpms.length - 1]
-    ];
+    if (segments.length > 1) {
+      const rates = segments.map(segment => segment.medianRateHz).filter(rate => rate !== null);
+      const longest = Math.max(...segments.map(segment => segment.durationS));
+      console.log(`Segments: ${segments.length} (${gaps} gaps over ${maxGapMs} ms, ${timeResets} time resets` +
+                  (fileBreaks > 0 ? `, ${fileBreaks} file starts` : '') + '), ' +
+                  `longest ${longest.toFixed(1)} s` +
+                  (rates.length > 0 ? `, sample rate ${Math.min(...rates)}-${Math.max(...rates)} Hz` : ''));
+    }
+  }
 
-    this.loadBoundaries = [
-      loads[0],
-      percentile(loads, 1/3),
-      percentile(loads, 2/3),
-      loads[loads.length - 1]
-    ];
+  // Run the LAMBDA_FILTERS and PW_FILTERS chains over the loaded signals
+  // (each segment separately), build the effective fuel column from the
+  // filtered PW, and measure the noise floor of lambda and of the stimulus
+  // (robust spread of their sample-to-sample changes within segments, fuel
+  // cut samples left out)
+  conditionSignals() {
+    const sampleRateHz = this.sampleRate ? this.sampleRate.medianRateHz : null;
+    const lambdaFilters = this.config.LAMBDA_FILTERS || [];
+    const pwFilters = this.config.PW_FILTERS || [];
+    // Each segment is filtered on its own. With `skip`, so is each run of
+    // samples between skipped ones, which are left as they are.
+    const filter = (values, chain, skip = null) => {
+      const out = Float64Array.from(values);
+      for (const { start, end } of this.series.segments) {
+        let runStart = start;
+        for (let k = start; k <= end + 1; k++) {
+          if (k <= end && !(skip && skip[k])) continue;
+          if (k > runStart) out.set(applyFilters(values.subarray(runStart, k), chain, sampleRateHz), runStart);
+          runStart = k + 1;
+        }
+      }
+      return out;
+    };
+
+    if (lambdaFilters.length > 0) {
+      this.data.setColumn('lambda', filter(this.data.lambda, lambdaFilters));
+    }
+    // Fuel cut rows would drag the filtered PW of the fuelled samples next
+    // to them towards zero, so PW is filtered over the fuelled runs only
+    if (pwFilters.length > 0) {
+      for (const column of ['pw', 'pw2']) {
+        if (this.data.hasColumn(column)) {
+          this.data.setColumn(column, filter(this.data[column], pwFilters, this.fuelCut));
+        }
+      }
+    }
+
+    if (this.stimulusSignal() === 'fuel') {
+      this.data.setColumn('fuel', this.effectiveFuel(this.data));
+    }
+
+    this.noise = {
+      lambda: changeNoise(this.data.lambda, this.fuelCut, this.series),
+      stimulus: this.estimateStimulusNoise()
+    };
+
+    const describe = chain => (chain.length > 0 ? chain.map(stage => stage.type).join(' > ') : 'none');
+    console.log(`Filters: lambda ${describe(lambdaFilters)}, PW ${describe(pwFilters)}; ` +
+                `noise: lambda ${this.noise.lambda.toFixed(4)}, ${this.stimulusSignal()} ` +
+                `${this.noise.stimulus.toFixed(3)}; thresholds: lambda ${this.lambdaThreshold().toFixed(4)}, ` +
+                `${this.stimulusSignal()} ${this.stimulusThreshold().toFixed(3)}`);
+  }
+
+  // Interval statistics of the loaded samples within segments (ms)
+  sampleRateStats() {
+    const { time } = this.data;
+    const intervals = [];
+    for (let k = 1; k < this.data.length; k++) {
+      if (this.series.sameSegment(k - 1, k)) intervals.push((time[k] - time[k - 1]) * 1000);
+    }
+    if (intervals.length === 0) return null;
+
+    const sorted = intervals.sort((a, b) => a - b);
+    const round = value => Math.round(value * 100) / 100;
+    const median = this.quantile(sorted, 0.5);
+    return {
+      intervals: sorted.length,
+      meanIntervalMs: round(sorted.reduce((a, b) => a + b, 0) / sorted.length),
+      medianIntervalMs: round(median),
+      minIntervalMs: round(sorted[0]),
+      p95IntervalMs: round(this.quantile(sorted, 0.95)),
+      maxIntervalMs: round(sorted[sorted.length - 1]),
+      medianRateHz: round(1000 / median)
+    };
+  }
+
+  // Column used as the fuelling stimulus
+  stimulusSignal() {
+    if (this.config.STIMULUS !== 'pw' && this.config.STIMULUS !== 'fuel') {
+      throw new Error(`Unknown stimulus: ${this.config.STIMULUS}`);
+    }
+    return this.config.STIMULUS;
+  }
+
+  // Effective fuel per sample: PW less the injector dead time at the logged
+  // battery voltage, plus the staged PW2 channel scaled by its flow ratio.
+  // With FUEL_PER_TIME it is multiplied by injections per second (one per
+  // cycle), giving open time per second. Only relative changes are used, so
+  // the units do not need to be mass.
+  effectiveFuel(data) {
+    const nominalVoltage = 13.5;
+    const voltage = data.hasColumn('battery') ? data.battery : null;
+    if (!voltage) {
+      console.log(`Battery voltage not logged; injector dead time taken at ${nominalVoltage} V`);
+    }
+    if (this.config.STAGED_INJECTION && !data.hasColumn('pw2')) {
+      throw new Error('STAGED_INJECTION requires a PW2 column');
+    }
+
+    const fuel = new Float64Array(data.length);
+    for (let k = 0; k < data.length; k++) {
+      const deadTime = this.injectorDeadTime(voltage ? voltage[k] : nominalVoltage);
+      let open = Math.max(data.pw[k] - deadTime, 0);
+      if (this.config.STAGED_INJECTION) {
+        open += Math.max(data.pw2[k] - deadTime, 0) * this.config.STAGED_FLOW_RATIO;
+      }
+      fuel[k] = this.config.FUEL_PER_TIME ? open * data.rpm[k] / 120 : open;
+    }
+    return fuel;
+  }
+
+  // Injector dead time (ms) at a battery voltage, linearly interpolated on
+  // the INJECTOR_DEAD_TIME curve and clamped at its ends
+  injectorDeadTime(voltage) {
+    const curve = this.config.INJECTOR_DEAD_TIME;
+    if (!Array.isArray(curve)) return curve || 0;
+
+    if (voltage <= curve[0][0]) return curve[0][1];
+    for (let k = 1; k < curve.length; k++) {
+      if (voltage <= curve[k][0]) {
+        const [v0, t0] = curve[k - 1];
+        const [v1, t1] = curve[k];
+        return t0 + (t1 - t0) * (voltage - v0) / (v1 - v0);
+      }
+    }
+    return curve[curve.length - 1][1];
+  }
+
+  // Fuelling step from sample `from` (the previous one by default) to k in
+  // the stimulus units: PW difference (ms), or relative change of effective
+  // fuel (%)
+  stimulusChange(data, k, from = k - 1) {
+    if (this.stimulusSignal() === 'fuel') {
+      const previous = data.fuel[from];
+      // No relative change is defined from zero effective fuel
+      return previous > 0 ? (data.fuel[k] - previous) / previous * 100 : 0;
+    }
+    return data.pw[k] - data.pw[from];
+  }
+
+  // Step threshold: STIMULUS_NOISE_MULTIPLE times the measured stimulus
+  // noise, or the absolute PW/fuel threshold
+  stimulusThreshold() {
+    const multiple = this.config.STIMULUS_NOISE_MULTIPLE;
+    if (multiple && this.noise && this.noise.stimulus > 0) {
+      return multiple * this.noise.stimulus;
+    }
+    return this.stimulusSignal() === 'fuel'
+      ? this.config.FUEL_CHANGE_THRESHOLD
+      : this.config.PW_CHANGE_THRESHOLD;
+  }
+
+  // Lambda response threshold: LAMBDA_NOISE_MULTIPLE times the measured
+  // lambda noise, or LAMBDA_CHANGE_THRESHOLD
+  lambdaThreshold() {
+    const multiple = this.config.LAMBDA_NOISE_MULTIPLE;
+    if (multiple && this.noise && this.noise.lambda > 0) {
+      return multiple * this.noise.lambda;
+    }
+    return this.config.LAMBDA_CHANGE_THRESHOLD;
+  }
+
+  // Mark the samples that match an EXCLUSION_RULES entry. this.exclusions[k]
+  // is 0 for a clean sample, otherwise 1 + the index of the first matching
+  // rule in this.exclusionRules. Rules on signals the log lacks are skipped.
+  markExclusions() {
+    let rules = this.config.EXCLUSION_RULES || [];
+    if (typeof rules === 'string') {
+      if (!EXCLUSION_PRESETS[rules]) throw new Error(`Unknown exclusion preset: ${rules}`);
+      rules = EXCLUSION_PRESETS[rules];
+    }
+
+    this.exclusionRules = [];
+    this.skippedExclusionRules = [];
+    for (const rule of rules) {
+      if (!EXCLUSION_TESTS[rule.op]) {
+        throw new Error(`Unknown exclusion operator: ${rule.op}`);
+      }
+      if (this.data.hasColumn(rule.signal)) {
+        this.exclusionRules.push(rule);
+      } else {
+        this.skippedExclusionRules.push(rule.reason);
+      }
+    }
+    // Fuel cut rows kept for the DFCO events must never pass as fuelled
+    if (this.fuelCut.some(Boolean) && !this.exclusionRules.some(rule => rule.reason === 'dfco')) {
+      this.exclusionRules.push({ reason: 'dfco', signal: 'dfco', op: '!=', value: 0 });
+    }
+
+    this.exclusions = new Uint8Array(this.data.length);
+    this.sampleExclusions = {};
+    for (let k = 0; k < this.data.length; k++) {
+      for (let r = 0; r < this.exclusionRules.length; r++) {
+        const rule = this.exclusionRules[r];
+        const values = this.data[rule.signal];
+        const previous = k > 0 && this.series.sameSegment(k - 1, k) ? k - 1 : k;
+        if (EXCLUSION_TESTS[rule.op](values[k], rule.value, values[previous])) {
+          this.exclusions[k] = r + 1;
+          this.sampleExclusions[rule.reason] = (this.sampleExclusions[rule.reason] || 0) + 1;
+          break;
+        }
+      }
+    }
+
+    if (this.skippedExclusionRules.length > 0) {
+      console.log(`Exclusion rules skipped (signal not logged): ${this.skippedExclusionRules.join(', ')}`);
+    }
+    const excluded = Object.values(this.sampleExclusions).reduce((a, b) => a + b, 0);
+    if (excluded > 0) {
+      console.log(`Excluded ${excluded} samples: ${this.formatCounts(this.sampleExclusions)}`);
+    }
+  }
+
+  // Reason of the first excluded sample between two indices (inclusive),
+  // or null if they are all clean. Reasons listed in `ignore` do not count.
+  windowExclusion(from, to, ignore = []) {
+    for (let k = Math.max(from, 0); k <= Math.min(to, this.data.length - 1); k++) {
+      if (!this.exclusions[k]) continue;
+      const reason = this.exclusionRules[this.exclusions[k] - 1].reason;
+      if (!ignore.includes(reason)) return reason;
+    }
+    return null;
+  }
+
+  // Count a rejected event against its bucket and record why on the event
+  rejectEvent(bucket, event, reason) {
+    const counts = event.source === 'dfco' ? bucket.dfcoRejections : bucket.rejections;
+    event.excluded = reason;
+    counts[reason] = (counts[reason] || 0) + 1;
+    if (event.source !== 'dfco' && event.stepIndex !== undefined) bucket.rejected.push(event);
+  }
+
+  // "reason n, reason n" summary of a counts object
+  formatCounts(counts) {
+    return Object.entries(counts).map(([reason, n]) => `${reason} ${n}`).join(', ');
+  }
+
+  // Determine bucket boundaries and axis values. Percentile mode splits the
+  // data into equally populated ranges and uses their midpoints as the axis.
+  // Fixed mode uses the configured breakpoints as the axis, with boundaries
+  // halfway between neighbouring breakpoints, so every log lands on the same
+  // cells the ECU table uses.
+  calculateBucketBoundaries() {
+    const rpms = this.data.rpm.filter((_, k) => !this.fuelCut[k]).sort();
+    const loads = this.data.load.filter((_, k) => !this.fuelCut[k]).sort();
+    this.gridAxes(rpms, loads);
 
     console.log(`\nRPM boundaries: ${this.rpmBoundaries.map(r => r.toFixed(0)).join(', ')}`);
     console.log(`Load boundaries: ${this.loadBoundaries.map(l => l.toFixed(1)).join(', ')}`);
   }
 
+  // Set the grid's boundaries and axis values from sorted RPM and load
+  // samples. Also used to build one grid over the samples of several logs.
+  gridAxes(rpms, loads) {
+    if (this.config.GRID_MODE === 'fixed') {
+      this.rpmAxisValues = [...this.config.RPM_BREAKPOINTS];
+      this.loadAxisValues = [...this.config.LOAD_BREAKPOINTS];
+      this.rpmBoundaries = this.breakpointBoundaries(this.rpmAxisValues, rpms);
+      this.loadBoundaries = this.breakpointBoundaries(this.loadAxisValues, loads);
+    } else {
+      this.rpmBoundaries = this.percentileBoundaries(rpms, this.rpmBucketCount);
+      this.loadBoundaries = this.percentileBoundaries(loads, this.loadBucketCount);
+      this.rpmAxisValues = this.boundaryMidpoints(this.rpmBoundaries);
+      this.loadAxisValues = this.boundaryMidpoints(this.loadBoundaries);
+    }
+  }
+
+  // Boundaries splitting sorted values into `count` equally populated ranges
+  percentileBoundaries(sorted, count) {
+    const percentile = (arr, p) => arr[Math.floor(arr.length * p)];
+
+    const boundaries = [sorted[0]];
+    for (let k = 1; k < count; k++) {
+      boundaries.push(percentile(sorted, k / count));
+    }
+    boundaries.push(sorted[sorted.length - 1]);
+    return boundaries;
+  }
+
+  // Boundaries halfway between breakpoints, with the outer edges stretched
+  // to cover all of the sorted data
+  breakpointBoundaries(breakpoints, sorted) {
+    const boundaries = [Math.min(breakpoints[0], sorted[0])];
+    for (let k = 1; k < breakpoints.length; k++) {
+      boundaries.push((breakpoints[k - 1] + breakpoints[k]) / 2);
+    }
+    boundaries.push(Math.max(breakpoints[breakpoints.length - 1], sorted[sorted.length - 1]));
+    return boundaries;
+  }
+
+  // Use midpoint of each bucket range as the axis value
+  boundaryMidpoints(boundaries) {
+    const values = [];
+    for (let k = 0; k < boundaries.length - 1; k++) {
+      values.push(Math.round((boundaries[k] + boundaries[k + 1]) / 2));
+    }
+    return values;
+  }
+
   // Assign data points to buckets
   assignToBuckets() {
-    for (const point of this.data) {
-      const rpmBucket = this.getBucketIndex(point.rpm, this.rpmBoundaries);
-      const loadBucket = this.getBucketIndex(point.load, this.loadBoundaries);
+    for (let k = 0; k < this.data.length; k++) {
+      if (this.fuelCut[k]) continue;
+      const rpmBucket = this.getBucketIndex(this.data.rpm[k], this.rpmBoundaries);
+      const loadBucket = this.getBucketIndex(this.data.load[k], this.loadBoundaries);
 
       if (rpmBucket !== -1 && loadBucket !== -1) {
-        this.buckets[rpmBucket][loadBucket].data.push(point);
+        this.buckets[rpmBucket][loadBucket].samples.push(k);
       }
     }
 
     // Report bucket populations
     console.log('\nBucket populations:');
-    for (let i = 0; i < this.config.BUCKET_COUNT; i++) {
-      for (let j = 0; j < this.config.BUCKET_COUNT; j++) {
-        console.log(`  RPM[${i}] Load[${j}]: ${this.buckets[i][j].data.length} points`);
+    for (let i = 0; i < this.rpmBucketCount; i++) {
+      for (let j = 0; j < this.loadBucketCount; j++) {
+        console.log(`  RPM[${i}] Load[${j}]: ${this.buckets[i][j].samples.length} points`);
       }
     }
   }
 
   getBucketIndex(value, boundaries) {
-    for (let i = 0; i < this.config.BUCKET_COUNT; i++) {
+    const count = boundaries.length - 1;
+    for (let i = 0; i < count; i++) {
       if (value >= boundaries[i] && value < boundaries[i + 1]) {
         return i;
       }
     }
     // Handle edge case for maximum value
-    if (value === boundaries[this.config.BUCKET_COUNT]) {
-      return this.config.BUCKET_COUNT - 1;
+    if (value === boundaries[count]) {
+      return count - 1;
     }
     return -1;
   }
 
-  // Calculate delays for each bucket
+  // Detect delay events on the full timeline, then file each event under
+  // the bucket of the operating point at its PW step
   calculateDelays() {
     console.log('\nCalculating delays...');
 
-    for (let i = 0; i < this.config.BUCKET_COUNT; i++) {
-      for (let j = 0; j < this.config.BUCKET_COUNT; j++) {
+    if (this.config.ESTIMATOR === 'xcorr') {
+      this.calculateCrossCorrelationDelays();
+      this.calculateDfcoDelays();
+      return;
+    }
+    if (this.config.ESTIMATOR !== 'threshold') {
+      throw new Error(`Unknown estimator: ${this.config.ESTIMATOR}`);
+    }
+
+    this.events = this.findDelaysInSequence(this.data);
+    if (this.config.STEP_QUALIFICATION) this.reportStepQualification();
+    const { lambdaErrorMs, stepErrorMs, delayErrorMs } = this.timing;
+    if (delayErrorMs.interpolated !== null) {
+      console.log(`  Timing (${this.timing.interpolation}): delay error ~${delayErrorMs.interpolated} ms ` +
+                  `vs ${delayErrorMs.sampled} ms sample-based (${this.timing.resolutionGain}x); ` +
+                  `lambda side ~${lambdaErrorMs.interpolated} vs ${lambdaErrorMs.sampled} ms ` +
+                  `(${this.timing.lambdaResolutionGain}x), step side ~${stepErrorMs.interpolated} ms; ` +
+                  `mean adjustment ${this.timing.meanAdjustmentMs} ms`);
+    } else if (delayErrorMs.sampled !== null) {
+      console.log(`  Timing (sample times): delay error ~${delayErrorMs.sampled} ms`);
+    }
+
+    const { rpm, load } = this.data;
+    for (const event of this.events) {
+      event.rpm = rpm[event.stepIndex];
+      event.rpmBucket = this.getBucketIndex(rpm[event.stepIndex], this.rpmBoundaries);
+      event.loadBucket = this.getBucketIndex(load[event.stepIndex], this.loadBoundaries);
+      event.responseRpmBucket = this.getBucketIndex(rpm[event.responseIndex], this.rpmBoundaries);
+      event.responseLoadBucket = this.getBucketIndex(load[event.responseIndex], this.loadBoundaries);
+      event.crossesBucket = event.rpmBucket !== event.responseRpmBucket ||
+                            event.loadBucket !== event.responseLoadBucket;
+
+      event.excluded = null;
+
+      if (event.rpmBucket === -1 || event.loadBucket === -1) continue;
+      const bucket = this.buckets[event.rpmBucket][event.loadBucket];
+
+      // The fuel behind the response was injected from just before the step
+      // until the response, so the whole span must be clean
+      const reason = this.windowExclusion(event.stepIndex - 1, event.responseIndex);
+      if (reason) {
+        this.rejectEvent(bucket, event, reason);
+        continue;
+      }
+      bucket.events.push(event);
+    }
+
+    for (let i = 0; i < this.rpmBucketCount; i++) {
+      for (let j = 0; j < this.loadBucketCount; j++) {
         const bucket = this.buckets[i][j];
-        if (bucket.data.length < 10) {
-          console.log(`  RPM[${i}] Load[${j}]: Insufficient data`);
+        const rejected = this.rejectionNote(bucket);
+        if (bucket.samples.length < 10) {
+          bucket.events.forEach(event => this.rejectEvent(bucket, event, 'insufficientData'));
+          bucket.events = [];
+          console.log(`  RPM[${i}] Load[${j}]: Insufficient data${rejected}`);
           continue;
         }
 
-        bucket.delays = this.findDelaysInSequence(bucket.data);
-        console.log(`  RPM[${i}] Load[${j}]: Found ${bucket.delays.length} delay measurements`);
+        for (const event of bucket.events) {
+          event.quality = this.scoreEvent(event);
+        }
+        this.rejectOutliers(bucket);
+
+        bucket.delays = bucket.events.map(e => e.delay);
+        for (const event of bucket.events) {
+          event.fopdt = this.fitFirstOrderDeadTime(event);
+          if (event.fopdt) {
+            bucket.deadTimes.push(event.fopdt.deadTime);
+            bucket.timeConstants.push(event.fopdt.timeConstant);
+          }
+        }
+        const crossing = bucket.events.filter(e => e.crossesBucket).length;
+        console.log(`  RPM[${i}] Load[${j}]: Found ${bucket.delays.length} delay measurements` +
+                    (crossing > 0 ? ` (${crossing} responded in another bucket)` : '') + rejected);
       }
     }
+
+    this.reportRejections();
+    this.calculateDfcoDelays();
   }
 
-  // Find delays by detecting PW changes and corresponding Lambda responses
-  findDelaysInSequence(data) {
-    const delays = [];
+  // Noise floor a step is compared against: the robust spread of the
+  // sample-to-sample stimulus change (relative in 'fuel' mode) within
+  // segments
+  estimateStimulusNoise() {
+    const changes = [];
+    for (let k = 1; k < this.data.length; k++) {
+      if (this.fuelCut[k] || this.fuelCut[k - 1] || !this.series.sameSegment(k - 1, k)) continue;
+      changes.push(this.stimulusChange(this.data, k));
+    }
+    return robustSpread(changes);
+  }
+
+  // Quality score of a PW-step event in [0, 1], the product of:
+  //   stepSize            - step relative to the stimulus noise, full at EVENT_SNR_FULL
+  //   preStability        - how flat lambda was over EVENT_PRE_WINDOW_MS before the step
+  //   responseCleanliness - net lambda movement / path length from step to response
+  //   interveningStep     - EVENT_INTERVENING_PENALTY if another step came before the response
+  scoreEvent(event) {
+    const { time, lambda } = this.data;
+    const { stepIndex, responseIndex } = event;
+    const threshold = this.stimulusThreshold();
+
+    const snr = this.noise.stimulus > 0 ? Math.abs(event.stimulusChange) / this.noise.stimulus : Infinity;
+    const stepSize = Math.min(1, snr / this.config.EVENT_SNR_FULL);
 
-    // Sort by time to ensure sequential processing
-    data.sort((a, b) => a.time - b.time);
+    const before = [];
+    const segmentStart = this.series.segmentOf(stepIndex).start;
+    for (let k = stepIndex - 1; k >= segmentStart && !this.fuelCut[k]; k--) {
+      if ((time[stepIndex] - time[k]) * 1000 > this.config.EVENT_PRE_WINDOW_MS) break;
+      before.push(lambda[k]);
+    }
+    let preStability = 1;
+    if (before.length >= 2) {
+      const mean = before.reduce((a, b) => a + b, 0) / before.length;
+      const sd = Math.sqrt(before.reduce((a, b) => a + (b - mean) * (b - mean), 0) / before.length);
+      preStability = 1 / (1 + Math.pow(sd / this.lambdaThreshold(), 2));
+    }
+
+    let path = 0;
+    let intervening = false;
+    for (let k = stepIndex + 1; k <= responseIndex; k++) {
+      path += Math.abs(lambda[k] - lambda[k - 1]);
+      if (Math.abs(this.stimulusChange(this.data, k)) >= threshold) intervening = true;
+    }
+    const net = Math.abs(lambda[responseIndex] - lambda[stepIndex]);
+    const responseCleanliness = path > 0 ? net / path : 1;
+    const interveningStep = intervening ? this.config.EVENT_INTERVENING_PENALTY : 1;
+
+    return {
+      score: stepSize * preStability * responseCleanliness * interveningStep,
+      stepSize: stepSize,
+      preStability: preStability,
+      responseCleanliness: responseCleanliness,
+      interveningStep: interveningStep
+    };
+  }
+
+  // Hampel filter: reject a bucket's events whose delay lies more than
+  // HAMPEL_K scaled MADs from the bucket median
+  rejectOutliers(bucket) {
+    if (this.config.OUTLIER_FILTER === 'none') return;
+    if (this.config.OUTLIER_FILTER !== 'hampel') {
+      throw new Error(`Unknown outlier filter: ${this.config.OUTLIER_FILTER}`);
+    }
+    if (bucket.events.length < this.config.OUTLIER_MIN_EVENTS) return;
+
+    const delays = bucket.events.map(e => e.delay);
+    const median = this.median(delays);
+    const mad = 1.4826 * this.median(delays.map(d => Math.abs(d - median)));
+    if (mad === 0) return;
+
+    const kept = [];
+    for (const event of bucket.events) {
+      event.deviation = Math.abs(event.delay - median) / mad;
+      if (event.deviation > this.config.HAMPEL_K) {
+        this.rejectEvent(bucket, event, 'outlier');
+      } else {
+        kept.push(event);
+      }
+    }
+    bucket.events = kept;
+  }
+
+  // Weight of each of a bucket's delays: the event quality scores with
+  // EVENT_WEIGHTING (threshold estimator), otherwise 1
+  delayWeights(bucket) {
+    if (!this.config.EVENT_WEIGHTING || this.config.ESTIMATOR === 'xcorr') {
+      return bucket.delays.map(() => 1);
+    }
+    return bucket.events.map(e => e.quality.score);
+  }
+
+  // " (excluded: reason n, ...)" suffix for a bucket's console line
+  rejectionNote(bucket) {
+    return Object.keys(bucket.rejections).length > 0
+      ? ` (excluded: ${this.formatCounts(bucket.rejections)})` : '';
+  }
+
+  reportRejections() {
+    const excluded = this.eventExclusions();
+    if (Object.keys(excluded).length > 0) {
+      console.log(`  Rejected: ${this.formatCounts(excluded)}`);
+    }
+  }
+
+  reportStepQualification() {
+    const { steps, events, discarded, merged } = this.stepQualification;
+    console.log(`  Step qualification: ${steps} steps, ${events} events` +
+                (Object.keys(discarded).length > 0 ? `; discarded: ${this.formatCounts(discarded)}` : '') +
+                (merged > 0 ? `; ${merged} steps merged` : ''));
+  }
+
+  // Rejected event (or xcorr window) counts by reason over all buckets, for
+  // the PW-step events or, with `key` 'dfcoRejections', the DFCO events
+  eventExclusions(key = 'rejections') {
+    const counts = {};
+    for (const row of this.buckets) {
+      for (const bucket of row) {
+        for (const [reason, n] of Object.entries(bucket[key])) {
+          counts[reason] = (counts[reason] || 0) + n;
+        }
+      }
+    }
+    return counts;
+  }
+
+  // Find delays by detecting PW changes and corresponding Lambda responses.
+  // `data` must be the time-ordered log (parseFile keeps file order) so that
+  // a step and its response really are neighbours in time; both must lie in
+  // the same segment.
+  findDelaysInSequence(data) {
+    const events = [];
+    const { time, pw, lambda } = data;
+    const threshold = this.stimulusThreshold();
+    const qualify = this.config.STEP_QUALIFICATION;
+    const merge = this.config.AMBIGUOUS_STEPS === 'merge';
+    if (!['discard', 'merge'].includes(this.config.AMBIGUOUS_STEPS)) {
+      throw new Error(`Unknown ambiguous step handling: ${this.config.AMBIGUOUS_STEPS}`);
+    }
+    const merged = new Set(); // Later steps folded into an earlier event
+    this.stepQualification = { steps: 0, events: 0, discarded: {}, merged: 0 };
+    const discard = reason => {
+      const counts = this.stepQualification.discarded;
+      counts[reason] = (counts[reason] || 0) + 1;
+    };
 
     for (let i = 1; i < data.length - 1; i++) {
-      const prev = data[i - 1];
-      const curr = data[i];
+      // No step across a segment boundary
+      if (!this.series.sameSegment(i - 1, i)) continue;
+      const segmentEnd = this.series.segmentOf(i).end;
 
-      // Detect significant PW change
-      const pwChange = curr.pw - prev.pw;
-      if (Math.abs(pwChange) < this.config.PW_CHANGE_THRESHOLD) continue;
+      // Detect significant PW (or effective fuel) change
+      const stimulusChange = this.stimulusChange(data, i);
+      if (Math.abs(stimulusChange) < threshold || merged.has(i)) continue;
+      this.stepQualification.steps++;
+
+      if (qualify) {
+        const failure = this.qualifyStep(data, i);
+        if (failure) {
+          discard(failure);
+          continue;
+        }
+      }
 
       // Look ahead for lambda response (inverse correlation)
       // PW increase -> Lambda should decrease (richer)
       // PW decrease -> Lambda should increase (leaner)
-      const expectedLambdaDirection = -Math.sign(pwChange);
+      const expectedLambdaDirection = -Math.sign(stimulusChange);
 
-      for (let j = i + 1; j < Math.min(i + 100, data.length); j++) {
-        const future = data[j];
-        const lambdaChange = future.lambda - curr.lambda;
-        const timeDiff = (future.time - curr.time) * 1000; // Convert to ms
+      for (let j = i + 1; j < Math.min(i + 100, segmentEnd + 1); j++) {
+        const lambdaChange = lambda[j] - lambda[i];
+        const timeDiff = (time[j] - time[i]) * 1000; // Convert to ms
 
         // Check if lambda moved in expected direction
         if (Math.sign(lambdaChange) === expectedLambdaDirection &&
-            Math.abs(lambdaChange) >= this.config.LAMBDA_CHANGE_THRESHOLD &&
+            Math.abs(lambdaChange) >= this.lambdaThreshold() &&
             timeDiff <= this.config.MAX_DELAY_MS) {
-          delays.push(timeDiff);
+          // Another step that holds before the response makes it ambiguous
+          // which step lambda answered. Same-direction steps can be merged
+          // into this event, anything else discards it.
+          const later = qualify ? this.stepsBefore(data, i, j) : [];
+          if (later.some(k => !merge || Math.sign(this.stimulusChange(data, k)) !== Math.sign(stimulusChange))) {
+            discard('ambiguous');
+            break;
+          }
+          const last = later.length > 0 ? later[later.length - 1] : i;
+          for (const k of later) merged.add(k);
+          this.stepQualification.merged += later.length;
+
+          // The step lies somewhere in the interval before sample i. Its
+          // halfway crossing is the interval's midpoint with linear timing,
+          // which is as much as the held PW samples can say.
+          const stimulus = this.stimulusSignal() === 'fuel' ? data.fuel : pw;
+          const stepTime = this.crossingTime(data, stimulus, i, (stimulus[i - 1] + stimulus[i]) / 2);
+          const responseTime = this.crossingTime(data, lambda, j,
+            lambda[i] + expectedLambdaDirection * this.lambdaThreshold());
+
+          events.push({
+            stepIndex: i,
+            responseIndex: j,
+            time: time[i],
+            pwChange: pw[last] - pw[i - 1],
+            stimulusChange: later.length > 0 ? this.stimulusChange(data, last, i - 1) : stimulusChange,
+            direction: expectedLambdaDirection < 0 ? 'rich' : 'lean',
+            stepTime: stepTime,
+            responseTime: responseTime,
+            sampledDelay: timeDiff,
+            delay: (responseTime - stepTime) * 1000
+          });
           break; // Found response for this PW change
         }
       }
     }
 
-    return delays;
+    this.stepQualification.events = events.length;
+    this.timing = this.timingResolution(data, events);
+    return events;
+  }
+
+  // Time at which `values` crosses `level` between samples k - 1 and k,
+  // which straddle it. TIMING_INTERPOLATION 'linear' joins the two samples
+  // with a line, 'spline' with a cubic Hermite (Catmull-Rom) segment through
+  // their neighbours, and 'none' returns the sample time of k.
+  crossingTime(data, values, k, level) {
+    const mode = this.config.TIMING_INTERPOLATION;
+    if (!['linear', 'spline', 'none'].includes(mode)) {
+      throw new Error(`Unknown timing interpolation: ${mode}`);
+    }
+    const { time } = data;
+    const [t1, t2] = [time[k - 1], time[k]];
+    const [p1, p2] = [values[k - 1], values[k]];
+    if (mode === 'none' || (p1 - level) * (p2 - level) > 0 || p1 === p2) return t2;
+
+    if (mode === 'linear') {
+      return t1 + (level - p1) / (p2 - p1) * (t2 - t1);
+    }
+
+    const { start, end } = this.series.segmentOf(k);
+    const curve = this.hermiteSegment(time, values, k, start, end);
+    let [low, high] = [0, 1];
+    for (let iteration = 0; iteration < 40; iteration++) {
+      const u = (low + high) / 2;
+      if ((curve(u) - level) * (p1 - level) > 0) low = u; else high = u;
+    }
+    return t1 + (low + high) / 2 * (t2 - t1);
+  }
+
+  // Catmull-Rom segment between points k - 1 and k as a function of the
+  // fraction u of the interval, with tangents scaled for uneven sampling.
+  // Neighbours are taken from indices first..last only.
+  hermiteSegment(time, values, k, first = 0, last = values.length - 1) {
+    const k0 = Math.max(k - 2, first);
+    const k3 = Math.min(k + 1, last);
+    const [t1, t2] = [time[k - 1], time[k]];
+    const [p1, p2] = [values[k - 1], values[k]];
+    const m1 = (p2 - values[k0]) / (t2 - time[k0]) * (t2 - t1);
+    const m2 = (values[k3] - p1) / (time[k3] - t1) * (t2 - t1);
+
+    return u => {
+      const u2 = u * u;
+      const u3 = u2 * u;
+      return (2 * u3 - 3 * u2 + 1) * p1 + (u3 - 2 * u2 + u) * m1 +
+             (-2 * u3 + 3 * u2) * p2 + (u3 - u2) * m2;
+    };
+  }
+
+  // Timing resolution of the delays, for each side and for the delay.
+  //
+  // Lambda side: a sample-based response time is late by up to one interval,
+  // a median error of half the median interval. The interpolated error is
+  // estimated by leaving out each response sample, interpolating lambda
+  // there from its neighbours and converting the residual to time through
+  // the local slope. The neighbours are twice as far apart as in the real
+  // interpolation, so the estimate errs on the pessimistic side.
+  //
+  // Step side: PW is held between ECU updates, so the log only says that the
+  // step happened somewhere in the interval before the step sample, and
+  // interpolating cannot narrow that down. The midpoint is off by a uniform
+  // +-half interval (median a quarter); the sample time is late by up to a
+  // whole interval (median half).
+  //
+  // Delay: sample-based step and response times are both late by a uniform
+  // fraction of an interval, which partly cancels, so their difference has a
+  // median error of (1 - 1/sqrt 2) intervals. Interpolated delays add the
+  // step side's uniform error to each event's lambda-side error.
+  timingResolution(data, events) {
+    const mode = this.config.TIMING_INTERPOLATION;
+    const { time, lambda } = data;
+    const interval = this.sampleRate ? this.sampleRate.medianIntervalMs : null;
+
+    const errors = [];
+    if (mode !== 'none') {
+      for (const event of events) {
+        const j = event.responseIndex;
+        const { start, end } = this.series.segmentOf(j);
+        if (j - 1 < start || j + 2 > end) continue;
+        const slope = (lambda[j + 1] - lambda[j - 1]) / (time[j + 1] - time[j - 1]);
+        if (slope === 0) continue;
+
+        const u = (time[j] - time[j - 1]) / (time[j + 1] - time[j - 1]);
+        let predicted = lambda[j - 1] + u * (lambda[j + 1] - lambda[j - 1]);
+        if (mode === 'spline') {
+          const neighbours = [Math.max(j - 3, start), j - 1, j + 1, j + 2];
+          predicted = this.hermiteSegment(neighbours.map(k => time[k]),
+            neighbours.map(k => lambda[k]), 2)(u);
+        }
+        errors.push(Math.abs(predicted - lambda[j]) / Math.abs(slope) * 1000);
+      }
+    }
+
+    // Each lambda-side error combined with step errors spread evenly over
+    // +-half an interval
+    const delayErrors = [];
+    const stepPoints = 20;
+    if (interval !== null) {
+      for (const error of errors) {
+        for (let m = 0; m < stepPoints; m++) {
+          delayErrors.push(Math.abs(((m + 0.5) / stepPoints - 0.5) * interval + error));
+        }
+      }
+    }
+
+    const round = value => (value !== null ? Math.round(value * 10) / 10 : null);
+    const gain = (sampled, interpolated) => (sampled && interpolated ? round(sampled / interpolated) : null);
+    const lambdaError = {
+      sampled: interval !== null ? interval / 2 : null,
+      interpolated: errors.length > 0 ? this.median(errors) : null
+    };
+    const stepError = {
+      sampled: interval !== null ? interval / 2 : null,
+      interpolated: mode !== 'none' && interval !== null ? interval / 4 : null
+    };
+    const delayError = {
+      sampled: interval !== null ? (1 - Math.SQRT1_2) * interval : null,
+      interpolated: delayErrors.length > 0 ? this.median(delayErrors) : null
+    };
+    const adjustments = events.map(e => Math.abs(e.delay - e.sampledDelay));
+    const rounded = errorPair => ({ sampled: round(errorPair.sampled), interpolated: round(errorPair.interpolated) });
+    return {
+      interpolation: mode,
+      sampleIntervalMs: interval,
+      lambdaErrorMs: rounded(lambdaError),
+      lambdaResolutionGain: gain(lambdaError.sampled, lambdaError.interpolated),
+      stepErrorMs: rounded(stepError),
+      delayErrorMs: rounded(delayError),
+      resolutionGain: gain(delayError.sampled, delayError.interpolated),
+      meanAdjustmentMs: adjustments.length > 0
+        ? round(adjustments.reduce((a, b) => a + b, 0) / adjustments.length) : null
+    };
+  }
+
+  // Step qualification: the stimulus must have held within STEP_TOLERANCE
+  // (a fraction of the step threshold) for STEP_PRE_STABLE_MS before the
+  // step and hold for STEP_SETTLE_MS after it. Returns the failed rule
+  // ('unstableBefore' or 'unsettled'), or null for a qualifying step.
+  qualifyStep(data, i) {
+    const tolerance = this.config.STEP_TOLERANCE * this.stimulusThreshold();
+    if (!this.stimulusHolds(data, i - 1, -1, this.config.STEP_PRE_STABLE_MS, tolerance)) {
+      return 'unstableBefore';
+    }
+    if (!this.stimulusHolds(data, i, 1, this.config.STEP_SETTLE_MS, tolerance)) {
+      return 'unsettled';
+    }
+    return null;
+  }
+
+  // Whether the stimulus stays within `tolerance` of sample `reference` for
+  // windowMs before (direction -1) or after (direction 1) it. A window the
+  // segment does not cover does not count as stable.
+  stimulusHolds(data, reference, direction, windowMs, tolerance) {
+    const { time } = data;
+    const { start, end } = this.series.segmentOf(reference);
+    for (let k = reference + direction; k >= start && k <= end; k += direction) {
+      if (Math.abs(time[k] - time[reference]) * 1000 > windowMs) return true;
+      if (Math.abs(this.stimulusChange(data, k, reference)) > tolerance) return false;
+    }
+    return false;
+  }
+
+  // Steps after `stepIndex`, up to `responseIndex`, that hold for the settle
+  // window. Only the settle rule applies: the earlier step itself sits in
+  // their pre-step window.
+  stepsBefore(data, stepIndex, responseIndex) {
+    const threshold = this.stimulusThreshold();
+    const tolerance = this.config.STEP_TOLERANCE * threshold;
+    const steps = [];
+    for (let k = stepIndex + 1; k <= responseIndex; k++) {
+      if (Math.abs(this.stimulusChange(data, k)) < threshold) continue;
+      if (this.stimulusHolds(data, k, 1, this.config.STEP_SETTLE_MS, tolerance)) steps.push(k);
+    }
+    return steps;
+  }
+
+  // Time the lambda response to DFCO edges and file each event under the
+  // bucket of the fuelled operating point next to the edge (the last
+  // fuelled sample before an entry, the first after an exit)
+  calculateDfcoDelays() {
+    this.dfcoEvents = this.config.DFCO_EVENTS ? this.findDfcoEvents(this.data) : [];
+    if (this.dfcoEvents.length === 0) return;
+
+    const { rpm, load } = this.data;
+    for (const event of this.dfcoEvents) {
+      const fuelled = event.edge === 'entry' ? event.stepIndex - 1 : event.stepIndex;
+      event.rpm = rpm[fuelled];
+      event.rpmBucket = this.getBucketIndex(rpm[fuelled], this.rpmBoundaries);
+      event.loadBucket = this.getBucketIndex(load[fuelled], this.loadBoundaries);
+      event.excluded = null;
+      if (event.rpmBucket === -1 || event.loadBucket === -1) continue;
+
+      const bucket = this.buckets[event.rpmBucket][event.loadBucket];
+      const reason = this.windowExclusion(event.stepIndex - 1, event.responseIndex,
+        this.config.DFCO_IGNORE_EXCLUSIONS);
+      if (reason) {
+        this.rejectEvent(bucket, event, reason);
+        continue;
+      }
+      bucket.dfcoEvents.push(event);
+    }
+
+    console.log('\nDFCO delays:');
+    for (let i = 0; i < this.rpmBucketCount; i++) {
+      for (let j = 0; j < this.loadBucketCount; j++) {
+        const bucket = this.buckets[i][j];
+        const entries = bucket.dfcoEvents.filter(e => e.edge === 'entry').length;
+        const median = this.dfcoDelay(bucket);
+        console.log(`  RPM[${i}] Load[${j}]: ${bucket.dfcoEvents.length} edges ` +
+                    `(${entries} entry, ${bucket.dfcoEvents.length - entries} exit)` +
+                    (median !== null ? `, median ${median.toFixed(1)} ms` : ''));
+      }
+    }
+    const rejected = this.eventExclusions('dfcoRejections');
+    if (Object.keys(rejected).length > 0) {
+      console.log(`  Rejected: ${this.formatCounts(rejected)}`);
+    }
+  }
+
+  // Find DFCO entry and exit edges and the lambda response to each. Entry
+  // (fuel cut) drives lambda lean, exit drives it back rich. The response
+  // is the first sample where lambda crosses DFCO_LEAN_LAMBDA /
+  // DFCO_RICH_LAMBDA ('saturation'), or has covered DFCO_SWING_PERCENT of
+  // the swing from its value at the edge to the extreme it reaches before
+  // the next edge ('swing'). Responses must come within MAX_DELAY_MS and
+  // the edge's segment.
+  findDfcoEvents(data) {
+    const events = [];
+    if (!data.hasColumn('dfco')) return events;
+
+    const { time, lambda, dfco } = data;
+    const maxDelay = this.config.MAX_DELAY_MS / 1000;
+
+    for (let k = 1; k < data.length; k++) {
+      const cut = dfco[k] > 0;
+      if (cut === dfco[k - 1] > 0 || !this.series.sameSegment(k - 1, k)) continue;
+
+      const direction = cut ? 1 : -1; // Lambda rises after entry, falls after exit
+      const start = lambda[k - 1];
+      const segmentEnd = this.series.segmentOf(k).end;
+      let end = k;
+      while (end + 1 <= segmentEnd && (dfco[end + 1] > 0) === cut &&
+             time[end + 1] - time[k] <= maxDelay) {
+        end++;
+      }
+
+      let target;
+      if (this.config.DFCO_RESPONSE === 'saturation') {
+        target = cut ? this.config.DFCO_LEAN_LAMBDA : this.config.DFCO_RICH_LAMBDA;
+        if ((target - start) * direction <= 0) continue; // Already past the level
+      } else if (this.config.DFCO_RESPONSE === 'swing') {
+        let extreme = start;
+        for (let j = k; j <= end; j++) {
+          extreme = cut ? Math.max(extreme, lambda[j]) : Math.min(extreme, lambda[j]);
+        }
+        const swing = (extreme - start) * direction;
+        if (swing < this.config.DFCO_MIN_SWING) continue;
+        target = start + direction * swing * this.config.DFCO_SWING_PERCENT / 100;
+      } else {
+        throw new Error(`Unknown DFCO response: ${this.config.DFCO_RESPONSE}`);
+      }
+
+      for (let j = k; j <= end; j++) {
+        if ((lambda[j] - target) * direction >= 0) {
+          events.push({
+            source: 'dfco',
+            edge: cut ? 'entry' : 'exit',
+            direction: cut ? 'lean' : 'rich',
+            stepIndex: k,
+            responseIndex: j,
+            time: time[k],
+            delay: (time[j] - time[k]) * 1000
+          });
+          break;
+        }
+      }
+    }
+
+    return events;
+  }
+
+  // Median DFCO delay of a bucket
+  dfcoDelay(bucket) {
+    return this.median(bucket.dfcoEvents.map(e => e.delay));
+  }
+
+  // Median delay of a bucket's PW-step events going one way ('rich' or 'lean')
+  directionDelay(bucket, direction) {
+    return this.median(bucket.events.filter(e => e.direction === direction).map(e => e.delay));
+  }
+
+  // Test, cell by cell, whether rich-going and lean-going delays differ
+  // (two-sided Mann-Whitney U). Cells need DIRECTION_MIN_EVENTS events each
+  // way to be tested.
+  testDirectionDifference() {
+    const tests = [];
+    for (let i = 0; i < this.rpmBucketCount; i++) {
+      for (let j = 0; j < this.loadBucketCount; j++) {
+        const events = this.buckets[i][j].events;
+        const rich = events.filter(e => e.direction === 'rich').map(e => e.delay);
+        const lean = events.filter(e => e.direction === 'lean').map(e => e.delay);
+        if (rich.length === 0 && lean.length === 0) continue;
+
+        const test = { rpmBucket: i, loadBucket: j, richEvents: rich.length, leanEvents: lean.length };
+        const richDelay = this.median(rich);
+        const leanDelay = this.median(lean);
+        test.richDelay = richDelay !== null ? Math.round(richDelay * 10) / 10 : null;
+        test.leanDelay = leanDelay !== null ? Math.round(leanDelay * 10) / 10 : null;
+        test.difference = richDelay !== null && leanDelay !== null
+          ? Math.round((leanDelay - richDelay) * 10) / 10 : null;
+        test.p = null;
+        test.significant = false;
+
+        if (rich.length >= this.config.DIRECTION_MIN_EVENTS &&
+            lean.length >= this.config.DIRECTION_MIN_EVENTS) {
+          const { u, p } = this.mannWhitney(rich, lean);
+          test.u = u;
+          test.p = Math.round(p * 10000) / 10000;
+          test.significant = p < this.config.DIRECTION_ALPHA;
+        }
+        tests.push(test);
+      }
+    }
+
+    const tested = tests.filter(t => t.p !== null);
+    console.log(`\nRich vs lean delays: ${tested.length} cells tested, ` +
+                `${tested.filter(t => t.significant).length} differ at p < ${this.config.DIRECTION_ALPHA}`);
+    for (const t of tested.filter(t => t.significant)) {
+      console.log(`  RPM[${t.rpmBucket}] Load[${t.loadBucket}]: rich ${t.richDelay} ms (n=${t.richEvents}), ` +
+                  `lean ${t.leanDelay} ms (n=${t.leanEvents}), p=${t.p}`);
+    }
+    return tests;
+  }
+
+  // Two-sided Mann-Whitney U test of two samples, using the normal
+  // approximation with tie and continuity corrections
+  mannWhitney(a, b) {
+    const n1 = a.length;
+    const n2 = b.length;
+    const n = n1 + n2;
+    const all = [...a.map(v => [v, 0]), ...b.map(v => [v, 1])].sort((x, y) => x[0] - y[0]);
+
+    // Tied values share their average rank
+    let rankSum = 0;
+    let tieTerm = 0;
+    for (let k = 0; k < n;) {
+      let end = k;
+      while (end + 1 < n && all[end + 1][0] === all[k][0]) end++;
+      const rank = (k + end) / 2 + 1;
+      for (let m = k; m <= end; m++) {
+        if (all[m][1] === 0) rankSum += rank;
+      }
+      const ties = end - k + 1;
+      tieTerm += ties * ties * ties - ties;
+      k = end + 1;
+    }
+
+    const u1 = rankSum - n1 * (n1 + 1) / 2;
+    const u = Math.min(u1, n1 * n2 - u1);
+    const variance = n1 * n2 / 12 * ((n + 1) - tieTerm / (n * (n - 1)));
+    if (variance <= 0) return { u, p: 1 };
+
+    const z = Math.max(Math.abs(u1 - n1 * n2 / 2) - 0.5, 0) / Math.sqrt(variance);
+    return { u, p: Math.min(1, 2 * (1 - this.normalCdf(z))) };
+  }
+
+  // Standard normal CDF (Abramowitz & Stegun 7.1.26 erf approximation)
+  normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 +
+      t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+
+  // Per-cell comparison of the PW-step (or xcorr) and DFCO delays where
+  // both exist; difference is DFCO minus step
+  compareDfcoDelays() {
+    const cells = [];
+    for (let i = 0; i < this.rpmBucketCount; i++) {
+      for (let j = 0; j < this.loadBucketCount; j++) {
+        const step = this.stepDelay(this.buckets[i][j]);
+        const dfco = this.dfcoDelay(this.buckets[i][j]);
+        if (step === null || dfco === null) continue;
+        cells.push({
+          rpmBucket: i,
+          loadBucket: j,
+          stepDelay: Math.round(step * 10) / 10,
+          dfcoDelay: Math.round(dfco * 10) / 10,
+          difference: Math.round((dfco - step) * 10) / 10
+        });
+      }
+    }
+    if (cells.length === 0) return null;
+
+    const meanDifference = cells.reduce((a, c) => a + c.difference, 0) / cells.length;
+    console.log(`\nDFCO vs PW-step delay: mean difference ${meanDifference.toFixed(1)} ms ` +
+                `over ${cells.length} cells (DFCO - step)`);
+    return { meanDifference: Math.round(meanDifference * 10) / 10, cells: cells };
+  }
+
+  // Fit a first-order-plus-dead-time response to the lambda trace after an
+  // event's PW step:
+  //   lambda(t) = lambda0 + K * (1 - exp(-(t - deadTime) / timeConstant)), t > deadTime
+  // The dead time is the gas transport delay and the time constant is the
+  // sensor/controller lag. Dead time is searched up to the detected delay on
+  // a 5 ms grid, the time constant on a log grid, and the gain is solved by
+  // least squares for each pair. Returns null when the fit is too poor.
+  fitFirstOrderDeadTime(event) {
+    const { time, lambda } = this.data;
+    const stepIndex = event.stepIndex;
+    const expectedSign = -Math.sign(event.stimulusChange);
+    const threshold = this.stimulusThreshold();
+
+    // Fit window ends at FOPDT_WINDOW_MS, at the next PW (or fuel) step or
+    // at the end of the segment
+    const times = [];
+    const deltas = [];
+    const segmentEnd = this.series.segmentOf(stepIndex).end;
+    for (let k = stepIndex; k <= segmentEnd; k++) {
+      const t = (time[k] - time[stepIndex]) * 1000;
+      if (t > this.config.FOPDT_WINDOW_MS) break;
+      if (k > stepIndex && Math.abs(this.stimulusChange(this.data, k)) >= threshold) break;
+      times.push(t);
+      deltas.push(lambda[k] - lambda[stepIndex]);
+    }
+    if (times.length < 6) return null;
+
+    const timeConstants = [];
+    for (let tau = 10; tau <= 2000; tau *= 1.15) timeConstants.push(tau);
+
+    let best = null;
+    for (let deadTime = 0; deadTime <= event.delay; deadTime += 5) {
+      for (const tau of timeConstants) {
+        let sgg = 0;
+        let sgd = 0;
+        for (let k = 0; k < times.length; k++) {
+          const g = times[k] > deadTime ? 1 - Math.exp(-(times[k] - deadTime) / tau) : 0;
+          sgg += g * g;
+          sgd += g * deltas[k];
+        }
+        if (sgg === 0) continue;
+
+        const gain = sgd / sgg;
+        if (Math.sign(gain) !== expectedSign) continue;
+
+        let sse = 0;
+        for (let k = 0; k < times.length; k++) {
+          const g = times[k] > deadTime ? 1 - Math.exp(-(times[k] - deadTime) / tau) : 0;
+          sse += Math.pow(deltas[k] - gain * g, 2);
+        }
+        if (!best || sse < best.sse) {
+          best = { deadTime, timeConstant: tau, gain, sse };
+        }
+      }
+    }
+    if (!best) return null;
+
+    const mean = deltas.reduce((a, b) => a + b, 0) / deltas.length;
+    const sst = deltas.reduce((a, b) => a + Math.pow(b - mean, 2), 0);
+    const r2 = sst > 0 ? 1 - best.sse / sst : 0;
+    if (r2 < this.config.FOPDT_MIN_R2) return null;
+
+    return {
+      deadTime: best.deadTime,
+      timeConstant: best.timeConstant,
+      gain: best.gain,
+      r2: r2
+    };
+  }
+
+  // Fit the exhaust transport model delay = a + b / (RPM x MAP) across all
+  // valid measurements and use it to fill buckets that have no delay of
+  // their own. RPM x MAP tracks exhaust mass flow, so the delay should fall
+  // as it rises (b > 0); a non-physical fit is reported but not used.
+  fitTransportModel() {
+    this.transportModel = null;
+
+    // Individual events where we have them, bucket delays for xcorr
+    const points = [];
+    for (let i = 0; i < this.rpmBucketCount; i++) {
+      for (let j = 0; j < this.loadBucketCount; j++) {
+        const bucket = this.buckets[i][j];
+        if (this.config.ESTIMATOR === 'xcorr') {
+          const delay = this.bucketDelay(bucket);
+          if (delay !== null) points.push({ x: 1 / this.bucketMapRpm(i, j), y: delay });
+        } else {
+          for (const event of bucket.events) {
+            points.push({ x: 1 / this.data.mapRpm[event.stepIndex], y: event.delay });
+          }
+        }
+      }
+    }
+
+    const usable = points.filter(p => isFinite(p.x) && p.x > 0);
+    if (usable.length < this.config.MODEL_MIN_MEASUREMENTS) {
+      console.log(`\nTransport model: only ${usable.length} measurements, not fitted`);
+      return null;
+    }
+
+    const n = usable.length;
+    const xMean = usable.reduce((a, p) => a + p.x, 0) / n;
+    const yMean = usable.reduce((a, p) => a + p.y, 0) / n;
+    let sxy = 0;
+    let sxx = 0;
+    for (const p of usable) {
+      sxy += (p.x - xMean) * (p.y - yMean);
+      sxx += (p.x - xMean) * (p.x - xMean);
+    }
+    const b = sxx > 0 ? sxy / sxx : 0;
+    const a = yMean - b * xMean;
+
+    let sse = 0;
+    let sst = 0;
+    for (const p of usable) {
+      sse += Math.pow(p.y - (a + b * p.x), 2);
+      sst += Math.pow(p.y - yMean, 2);
+    }
+
+    const model = {
+      formula: 'delay = a + b / (RPM * MAP)',
+      a: a,
+      b: b,
+      measurements: n,
+      rSquared: sst > 0 ? 1 - sse / sst : 0,
+      rmse: Math.sqrt(sse / n),
+      physical: b > 0,
+      cellResiduals: []
+    };
+
+    console.log(`\nTransport model: delay = ${a.toFixed(1)} + ${b.toFixed(0)} / (RPM x MAP) ` +
+                `(R² ${model.rSquared.toFixed(3)}, RMSE ${model.rmse.toFixed(1)} ms, n=${n})`);
+    if (!model.physical) {
+      console.log('  Delay does not fall with exhaust flow; model not used to fill cells');
+    }
+
+    for (let i = 0; i < this.rpmBucketCount; i++) {
+      for (let j = 0; j < this.loadBucketCount; j++) {
+        const bucket = this.buckets[i][j];
+        const predicted = a + b / this.bucketMapRpm(i, j);
+        const measured = this.bucketDelay(bucket);
+
+        bucket.modelledDelay = predicted;
+        bucket.modelled = false;
+        if (measured !== null) {
+          model.cellResiduals.push({ rpmBucket: i, loadBucket: j, residual: measured - predicted });
+        } else if (this.config.MODEL_FILL && model.physical) {
+          bucket.modelled = true;
+          console.log(`  RPM[${i}] Load[${j}]: Filled from model (${predicted.toFixed(1)} ms)`);
+        }
+      }
+    }
+
+    this.transportModel = model;
+    return model;
+  }
+
+  // Representative RPM x MAP for a bucket: the mean of its samples, or the
+  // product of its axis values when it has none
+  bucketMapRpm(i, j) {
+    const samples = this.buckets[i][j].samples;
+    if (samples.length > 0) {
+      return samples.reduce((a, k) => a + this.data.mapRpm[k], 0) / samples.length;
+    }
+    return this.rpmAxisValues[i] * this.loadAxisValues[j];
+  }
+
+  // Value written to the delay table: the measured delay, or the transport
+  // model's prediction for cells it filled
+  tableDelay(bucket) {
+    const measured = this.bucketDelay(bucket);
+    if (measured !== null) return measured;
+    return bucket.modelled ? bucket.modelledDelay : null;
+  }
+
+  // Estimate each bucket's delay as the lag that maximises the negated
+  // cross-correlation between detrended PW and lambda. Windows slide over the
+  // continuous log; each window's correlation curve is added to the bucket of
+  // its mean operating point, and the peak of the bucket's averaged curve is
+  // the bucket delay. Per-window peaks are kept in bucket.delays.
+  calculateCrossCorrelationDelays() {
+    const lags = [];
+    for (let lag = 0; lag <= this.config.MAX_DELAY_MS; lag += this.config.XCORR_LAG_STEP_MS) {
+      lags.push(lag);
+    }
+
+    for (const window of this.crossCorrelationWindows(this.data, lags)) {
+      const rpmBucket = this.getBucketIndex(window.rpm, this.rpmBoundaries);
+      const loadBucket = this.getBucketIndex(window.load, this.loadBoundaries);
+      if (rpmBucket === -1 || loadBucket === -1) continue;
+
+      const bucket = this.buckets[rpmBucket][loadBucket];
+      if (window.excluded) {
+        this.rejectEvent(bucket, window, window.excluded);
+        continue;
+      }
+      if (!bucket.correlationSum) bucket.correlationSum = new Array(lags.length).fill(0);
+      for (let k = 0; k < lags.length; k++) {
+        bucket.correlationSum[k] += window.correlations[k];
+      }
+      bucket.windows = (bucket.windows || 0) + 1;
+
+      const peak = this.correlationPeak(window.correlations);
+      if (window.correlations[peak] >= this.config.XCORR_MIN_CORRELATION) {
+        bucket.delays.push(lags[peak]);
+      }
+    }
+
+    for (let i = 0; i < this.rpmBucketCount; i++) {
+      for (let j = 0; j < this.loadBucketCount; j++) {
+        const bucket = this.buckets[i][j];
+        if (bucket.samples.length < 10 || !bucket.windows) {
+          if (bucket.windows) {
+            bucket.rejections.insufficientData = (bucket.rejections.insufficientData || 0) + bucket.windows;
+            bucket.windows = 0;
+          }
+          bucket.delays = [];
+          console.log(`  RPM[${i}] Load[${j}]: Insufficient data${this.rejectionNote(bucket)}`);
+          continue;
+        }
+
+        const mean = bucket.correlationSum.map(c => c / bucket.windows);
+        const peak = this.correlationPeak(mean);
+        // A weak peak is no better than noise, so leave the cell empty
+        bucket.xcorr = {
+          delay: mean[peak] >= this.config.XCORR_MIN_CORRELATION ? lags[peak] : null,
+          correlation: mean[peak],
+          windows: bucket.windows
+        };
+        console.log(`  RPM[${i}] Load[${j}]: Peak correlation ${mean[peak].toFixed(3)} at ` +
+                    `${lags[peak]} ms over ${bucket.windows} windows${this.rejectionNote(bucket)}`);
+      }
+    }
+
+    this.reportRejections();
+  }
+
+  // Slide windows over the time-ordered data, one segment at a time, and
+  // return, for each window, the negated PW/lambda correlation at every lag
+  // (lambda shifted later). Windows touching excluded samples carry the
+  // reason and no correlations.
+  crossCorrelationWindows(data, lags) {
+    const windows = [];
+    const { time, rpm, load } = data;
+    const pw = data[this.stimulusSignal()];
+    const windowSec = this.config.XCORR_WINDOW_MS / 1000;
+    const stepSec = this.config.XCORR_WINDOW_STEP_MS / 1000;
+    const maxLagSec = lags[lags.length - 1] / 1000;
+
+    let start = 0;
+    while (start < data.length) {
+      // The window and its lagged lambda must fit in the segment
+      const segmentEnd = this.series.segmentOf(start).end;
+      if (time[start] + windowSec + maxLagSec > time[segmentEnd]) {
+        start = segmentEnd + 1;
+        continue;
+      }
+
+      let end = start;
+      while (end <= segmentEnd && time[end] < time[start] + windowSec) end++;
+
+      // A window is rejected if any sample it or its lagged lambda covers is excluded
+      let lagEnd = end;
+      while (lagEnd < segmentEnd && time[lagEnd] <= time[end - 1] + maxLagSec) lagEnd++;
+      const excluded = this.windowExclusion(start, lagEnd);
+
+      const times = Array.from(time.subarray(start, end));
+      const pws = Array.from(pw.subarray(start, end));
+      let rpmSum = 0;
+      let loadSum = 0;
+      for (let i = start; i < end; i++) {
+        rpmSum += rpm[i];
+        loadSum += load[i];
+      }
+
+      const pwResidual = this.detrend(times, pws);
+      const pwEnergy = pwResidual.reduce((a, b) => a + b * b, 0);
+
+      if (times.length >= 10 && pwEnergy > 0) {
+        const correlations = excluded ? null : lags.map(lag => {
+          const shifted = this.interpolateLambda(data, times.map(t => t + lag / 1000), start);
+          const lambdaResidual = this.detrend(times, shifted);
+          let cross = 0;
+          let lambdaEnergy = 0;
+          for (let k = 0; k < times.length; k++) {
+            cross += pwResidual[k] * lambdaResidual[k];
+            lambdaEnergy += lambdaResidual[k] * lambdaResidual[k];
+          }
+          return lambdaEnergy > 0 ? -cross / Math.sqrt(pwEnergy * lambdaEnergy) : 0;
+        });
+
+        windows.push({
+          time: time[start],
+          rpm: rpmSum / times.length,
+          load: loadSum / times.length,
+          correlations: correlations,
+          excluded: excluded
+        });
+      }
+
+      const nextStart = time[start] + stepSec;
+      while (start <= segmentEnd && time[start] < nextStart) start++;
+    }
+
+    return windows;
+  }
+
+  // Linearly interpolate lambda at ascending target times, scanning forward
+  // from index `from`
+  interpolateLambda(data, targetTimes, from) {
+    const { time, lambda } = data;
+    const values = [];
+    let k = from;
+    for (const t of targetTimes) {
+      while (k < data.length - 2 && time[k + 1] < t) k++;
+      const span = time[k + 1] - time[k];
+      const frac = span > 0 ? Math.min(Math.max((t - time[k]) / span, 0), 1) : 0;
+      values.push(lambda[k] + (lambda[k + 1] - lambda[k]) * frac);
+    }
+    return values;
+  }
+
+  // Remove the least-squares straight line from values sampled at times
+  detrend(times, values) {
+    const n = times.length;
+    const tMean = times.reduce((a, b) => a + b, 0) / n;
+    const vMean = values.reduce((a, b) => a + b, 0) / n;
+    let covariance = 0;
+    let variance = 0;
+    for (let k = 0; k < n; k++) {
+      covariance += (times[k] - tMean) * (values[k] - vMean);
+      variance += (times[k] - tMean) * (times[k] - tMean);
+    }
+    const slope = variance > 0 ? covariance / variance : 0;
+    return values.map((v, k) => v - vMean - slope * (times[k] - tMean));
+  }
+
+  // Index of the largest value in a correlation curve
+  correlationPeak(curve) {
+    let peak = 0;
+    for (let k = 1; k < curve.length; k++) {
+      if (curve[k] > curve[peak]) peak = k;
+    }
+    return peak;
+  }
+
+  // Delay reported for a bucket: the estimator's, or with DFCO_MERGE the
+  // weighted median of the PW-step and DFCO delays (threshold estimator)
+  bucketDelay(bucket) {
+    if (this.config.DFCO_MERGE && this.config.ESTIMATOR !== 'xcorr') {
+      return this.aggregateDelay(bucket, this.bucketMeasurements(bucket));
+    }
+    return this.stepDelay(bucket);
+  }
+
+  // Measurements behind a bucket's delay, with their weights and the RPM
+  // each was taken at: PW-step delays (xcorr window peaks, at the bucket's
+  // RPM axis value), plus DFCO delays when merging
+  bucketMeasurements(bucket, merge = this.config.DFCO_MERGE) {
+    const values = [...bucket.delays];
+    const weights = this.delayWeights(bucket);
+    const rpms = this.config.ESTIMATOR === 'xcorr'
+      ? values.map(() => this.rpmAxisValues[bucket.rpmBucket])
+      : bucket.events.map(e => e.rpm);
+    if (merge && this.config.ESTIMATOR !== 'xcorr') {
+      for (let k = 0; k < weights.length; k++) weights[k] *= this.config.STEP_WEIGHT;
+      for (const event of bucket.dfcoEvents) {
+        values.push(event.delay);
+        weights.push(this.config.DFCO_WEIGHT);
+        rpms.push(event.rpm);
+      }
+    }
+    const kept = values.map((_, k) => k).filter(k => weights[k] > 0);
+    return {
+      values: kept.map(k => values[k]),
+      weights: kept.map(k => weights[k]),
+      rpms: kept.map(k => rpms[k])
+    };
+  }
+
+  // Weighted median of a bucket's measurements in ms. With AGGREGATE_DOMAIN
+  // 'cycles' the median is taken over the crank revolutions each delay
+  // spanned at its own RPM and converted back to ms at the bucket's RPM.
+  aggregateDelay(bucket, { values, weights, rpms }) {
+    const domain = this.config.AGGREGATE_DOMAIN;
+    if (domain === 'ms') return this.weightedMedian(values, weights);
+    if (domain !== 'cycles') {
+      throw new Error(`Unknown aggregation domain: ${domain}`);
+    }
+
+    const revolutions = this.weightedMedian(values.map((v, k) => this.toRevolutions(v, rpms[k])), weights);
+    return revolutions !== null ? this.toMilliseconds(revolutions, this.rpmAxisValues[bucket.rpmBucket]) : null;
+  }
+
+  // Crank revolutions a delay spans at `rpm`, and back
+  toRevolutions(delayMs, rpm) {
+    return delayMs * rpm / 60000;
+  }
+
+  toMilliseconds(revolutions, rpm) {
+    return revolutions * 60000 / rpm;
+  }
+
+  // Delay of a bucket in crank revolutions: the weighted median of the
+  // revolutions each measurement spanned at its event's RPM. A single xcorr
+  // or modelled delay is converted at the bucket's RPM axis value.
+  bucketRevolutions(bucket) {
+    const rpm = this.rpmAxisValues[bucket.rpmBucket];
+    if (this.config.ESTIMATOR === 'xcorr') {
+      const delay = this.tableDelay(bucket);
+      return delay !== null ? this.toRevolutions(delay, rpm) : null;
+    }
+
+    const { values, weights, rpms } = this.bucketMeasurements(bucket);
+    const measured = this.weightedMedian(values.map((v, k) => this.toRevolutions(v, rpms[k])), weights);
+    if (measured !== null) return measured;
+    return bucket.modelled ? this.toRevolutions(bucket.modelledDelay, rpm) : null;
+  }
+
+  bucketCycles(bucket) {
+    const revolutions = this.bucketRevolutions(bucket);
+    return revolutions !== null ? revolutions / this.config.REVS_PER_CYCLE : null;
+  }
+
+  // Bootstrap confidence interval, interquartile range and quality grade
+  // of every bucket's delay, stored as bucket.quality (null without data)
+  assessQuality() {
+    for (let i = 0; i < this.rpmBucketCount; i++) {
+      for (let j = 0; j < this.loadBucketCount; j++) {
+        // Seed per cell, so one cell's interval does not depend on the others
+        const random = seededRandom(this.config.BOOTSTRAP_SEED + i * this.loadBucketCount + j);
+        this.buckets[i][j].quality = this.cellQuality(this.buckets[i][j], random);
+      }
+    }
+  }
+
+  cellQuality(bucket, random) {
+    const { values, weights } = this.bucketMeasurements(bucket);
+    if (values.length === 0) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const q1 = this.quantile(sorted, 0.25);
+    const q3 = this.quantile(sorted, 0.75);
+    const center = this.weightedMedian(values, weights);
+
+    // Percentile bootstrap of the (weighted) median
+    const medians = [];
+    const resampled = new Array(values.length);
+    const resampledWeights = new Array(values.length);
+    for (let b = 0; b < this.config.BOOTSTRAP_SAMPLES; b++) {
+      for (let k = 0; k < values.length; k++) {
+        const pick = Math.floor(random() * values.length);
+        resampled[k] = values[pick];
+        resampledWeights[k] = weights[pick];
+      }
+      medians.push(this.weightedMedian(resampled, resampledWeights));
+    }
+    medians.sort((a, b) => a - b);
+    const tail = (1 - this.config.CONFIDENCE_LEVEL) / 2;
+    const ciLow = this.quantile(medians, tail);
+    const ciHigh = this.quantile(medians, 1 - tail);
+
+    // Grade on count and on how tightly the median is pinned down
+    const relativeCi = center > 0 ? (ciHigh - ciLow) / center : Infinity;
+    const rule = this.config.QUALITY_GRADES.find(g =>
+      values.length >= g.minCount && relativeCi <= g.maxRelativeCi);
+
+    return {
+      count: values.length,
+      ciLow: ciLow,
+      ciHigh: ciHigh,
+      q1: q1,
+      q3: q3,
+      iqr: q3 - q1,
+      grade: rule ? rule.grade : 'D'
+    };
+  }
+
+  // Histogram, kernel density estimate and modes of every bucket's delays,
+  // stored as bucket.distribution (null without data). Cells whose median
+  // falls in a valley between two modes usually mix correct step/response
+  // pairs with wrong ones.
+  analyzeDistributions() {
+    for (const row of this.buckets) {
+      for (const bucket of row) {
+        bucket.distribution = bucket.delays.length > 0 ? this.delayDistribution(bucket.delays) : null;
+      }
+    }
+
+    const flagged = [];
+    this.buckets.forEach((row, i) => row.forEach((bucket, j) => {
+      if (bucket.distribution && bucket.distribution.multimodal) flagged.push([i, j, bucket]);
+    }));
+    if (flagged.length === 0) return;
+
+    console.log('\nMulti-modal delay distributions:');
+    for (const [i, j, bucket] of flagged) {
+      const d = bucket.distribution;
+      const modes = d.modes.map(m => `${m.delay.toFixed(0)} ms (${Math.round(m.weight * 100)}%)`).join(', ');
+      console.log(`  RPM[${i}] Load[${j}]: modes at ${modes}` +
+                  (d.medianInValley ? ` - median ${d.median.toFixed(0)} ms falls in a valley` : ''));
+    }
+  }
+
+  delayDistribution(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const n = sorted.length;
+    const median = this.median(sorted);
+
+    // Histogram on bins aligned to multiples of the bin width
+    const binMs = this.config.HISTOGRAM_BIN_MS;
+    const histStart = Math.floor(sorted[0] / binMs) * binMs;
+    const counts = new Array(Math.floor((sorted[n - 1] - histStart) / binMs) + 1).fill(0);
+    for (const v of sorted) counts[Math.floor((v - histStart) / binMs)]++;
+
+    // Gaussian KDE, Silverman's rule of thumb unless a bandwidth is given
+    const mean = sorted.reduce((a, b) => a + b, 0) / n;
+    const sd = Math.sqrt(sorted.reduce((a, b) => a + (b - mean) * (b - mean), 0) / Math.max(n - 1, 1));
+    const iqr = this.quantile(sorted, 0.75) - this.quantile(sorted, 0.25);
+    const spread = Math.min(sd, iqr / 1.34) || sd;
+    const bandwidth = this.config.KDE_BANDWIDTH_MS ||
+      Math.max(0.9 * spread * Math.pow(n, -0.2), this.config.KDE_STEP_MS);
+
+    const step = this.config.KDE_STEP_MS;
+    const kdeStart = Math.max(0, Math.floor((sorted[0] - 3 * bandwidth) / step) * step);
+    const kdeEnd = sorted[n - 1] + 3 * bandwidth;
+    const grid = [];
+    const density = [];
+    const norm = 1 / (n * bandwidth * Math.sqrt(2 * Math.PI));
+    for (let x = kdeStart; x <= kdeEnd; x += step) {
+      let sum = 0;
+      for (const v of sorted) sum += Math.exp(-0.5 * Math.pow((x - v) / bandwidth, 2));
+      grid.push(x);
+      density.push(sum * norm);
+    }
+
+    const modes = n >= this.config.MODE_MIN_EVENTS
+      ? this.densityModes(grid, density, sorted)
+      : [{ delay: median, weight: 1, density: null }];
+
+    // Median in a valley: between two modes, with the density there well
+    // below the smaller of the two peaks
+    let medianInValley = false;
+    for (let k = 0; k + 1 < modes.length; k++) {
+      if (median > modes[k].delay && median < modes[k + 1].delay) {
+        const at = density[Math.min(Math.round((median - kdeStart) / step), density.length - 1)];
+        medianInValley = at < this.config.VALLEY_DEPTH * Math.min(modes[k].density, modes[k + 1].density);
+      }
+    }
+
+    return {
+      median: median,
+      histogram: { binMs: binMs, start: histStart, counts: counts },
+      kde: { bandwidth: bandwidth, start: kdeStart, stepMs: step, density: density },
+      modes: modes,
+      multimodal: modes.length > 1,
+      medianInValley: medianInValley
+    };
+  }
+
+  // Local maxima of a density curve, each weighted by the share of values
+  // in its basin (between the neighbouring minima). Modes holding less than
+  // MODE_MIN_WEIGHT are dropped.
+  densityModes(grid, density, sorted) {
+    const peaks = [];
+    const troughs = [];
+    for (let k = 1; k + 1 < density.length; k++) {
+      if (density[k] > density[k - 1] && density[k] >= density[k + 1]) peaks.push(k);
+      if (density[k] < density[k - 1] && density[k] <= density[k + 1]) troughs.push(k);
+    }
+    if (peaks.length === 0) peaks.push(density.indexOf(Math.max(...density)));
+
+    const modes = peaks.map(peak => {
+      const lower = troughs.filter(t => t < peak).pop();
+      const upper = troughs.find(t => t > peak);
+      const from = lower !== undefined ? grid[lower] : -Infinity;
+      const to = upper !== undefined ? grid[upper] : Infinity;
+      const inBasin = sorted.filter(v => v >= from && v < to).length;
+      return { delay: grid[peak], weight: inBasin / sorted.length, density: density[peak] };
+    });
+
+    const kept = modes.filter(m => m.weight >= this.config.MODE_MIN_WEIGHT);
+    return kept.length > 0 ? kept : [modes.reduce((a, b) => (b.weight > a.weight ? b : a))];
+  }
+
+  // Linearly interpolated quantile of sorted values
+  quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, sorted.length - 1);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  }
+
+  // Delay measured by the configured estimator alone: the xcorr peak, or
+  // the (quality-weighted) median of the PW-step delays
+  stepDelay(bucket) {
+    if (this.config.ESTIMATOR === 'xcorr') {
+      return bucket.xcorr ? bucket.xcorr.delay : null;
+    }
+    return this.aggregateDelay(bucket, this.bucketMeasurements(bucket, false));
   }
 
   // Calculate median of an array
@@ -190,63 +2053,286 @@ class LambdaDelayAnalyzer {
       : sorted[mid];
   }
 
-  // Generate the 3x3 delay table
+  // Median where each value counts with its weight; equal weights give the
+  // plain median
+  weightedMedian(values, weights) {
+    const pairs = values.map((v, k) => [v, weights[k]])
+      .filter(([, w]) => w > 0)
+      .sort((a, b) => a[0] - b[0]);
+    if (pairs.length === 0) return null;
+
+    const half = pairs.reduce((a, [, w]) => a + w, 0) / 2;
+    // Summed fractional weights rarely hit half exactly, so ties are
+    // compared with a tolerance relative to the total
+    const tolerance = half * 1e-9;
+    let cumulative = 0;
+    for (let k = 0; k < pairs.length; k++) {
+      cumulative += pairs[k][1];
+      if (Math.abs(cumulative - half) <= tolerance && k < pairs.length - 1) {
+        return (pairs[k][0] + pairs[k + 1][0]) / 2;
+      }
+      if (cumulative > half) return pairs[k][0];
+    }
+    return pairs[pairs.length - 1][0];
+  }
+
+  // Generate the delay table, plus rich/lean-going tables for PW-step
+  // events, dead time and time constant tables when first-order fits are
+  // available, and the DFCO delay table when there are DFCO events
   generateTable() {
-    console.log('\n=== LAMBDA DELAY TABLE (milliseconds) ===\n');
+    this.assessQuality();
+    this.analyzeDistributions();
+    const valley = bucket => (bucket.distribution && bucket.distribution.medianInValley ? '~' : '');
+    const flag = bucket => (bucket.modelled ? '*' : (bucket.quality ? ` ${bucket.quality.grade}` : '') + valley(bucket));
+    const display = this.config.DISPLAY_UNITS;
+    if (!TABLE_UNITS[display]) {
+      throw new Error(`Unknown display units: ${display}`);
+    }
+    const table = this.buildTable('LAMBDA DELAY TABLE', bucket => this.tableDelay(bucket), flag,
+      { print: display === 'ms' });
+    this.revolutionTable = this.buildTable('LAMBDA DELAY TABLE', bucket => this.bucketRevolutions(bucket), flag,
+      { units: 'revs', print: display === 'revs' });
+    this.cycleTable = this.buildTable('LAMBDA DELAY TABLE', bucket => this.bucketCycles(bucket), flag,
+      { units: 'cycles', print: display === 'cycles' });
+    if (this.buckets.some(row => row.some(bucket => bucket.modelled))) {
+      console.log('* = filled from the transport model');
+    }
+    if (this.buckets.some(row => row.some(bucket => valley(bucket)))) {
+      console.log('~ = median falls in a valley between delay modes');
+    }
+    this.printQualityTable();
 
-    const table = [];
+    this.fileComparison = null;
+    if (this.sourceFiles) {
+      if (this.config.ESTIMATOR === 'xcorr') {
+        console.log('\nPer-file delays need the threshold estimator; no file comparison');
+      } else {
+        this.fileComparison = this.compareFileMedians();
+      }
+    }
 
-    // Use midpoint of each bucket range as the axis value
-    const rpmValues = [];
-    const loadValues = [];
+    this.richDelayTable = null;
+    this.leanDelayTable = null;
+    this.directionTests = null;
+    if (this.buckets.some(row => row.some(bucket => bucket.events.length > 0))) {
+      this.richDelayTable = this.buildTable('RICH-GOING DELAY TABLE',
+        bucket => this.directionDelay(bucket, 'rich'));
+      this.leanDelayTable = this.buildTable('LEAN-GOING DELAY TABLE',
+        bucket => this.directionDelay(bucket, 'lean'));
+      this.directionTests = this.testDirectionDifference();
+    }
 
-    for (let i = 0; i < this.config.BUCKET_COUNT; i++) {
-      const rpmMid = (this.rpmBoundaries[i] + this.rpmBoundaries[i + 1]) / 2;
-      rpmValues.push(Math.round(rpmMid));
+    this.dfcoDelayTable = null;
+    this.dfcoComparison = null;
+    if (this.buckets.some(row => row.some(bucket => bucket.dfcoEvents.length > 0))) {
+      if (this.config.DFCO_MERGE) {
+        console.log(this.config.ESTIMATOR === 'xcorr'
+          ? 'DFCO_MERGE applies to the threshold estimator only; table not merged'
+          : `Merged with DFCO delays (weights: step ${this.config.STEP_WEIGHT}, DFCO ${this.config.DFCO_WEIGHT})`);
+      }
+      this.dfcoDelayTable = this.buildTable('DFCO DELAY TABLE', bucket => this.dfcoDelay(bucket));
+      this.dfcoComparison = this.compareDfcoDelays();
+    }
 
-      const loadMid = (this.loadBoundaries[i] + this.loadBoundaries[i + 1]) / 2;
-      loadValues.push(Math.round(loadMid));
+    this.deadTimeTable = null;
+    this.timeConstantTable = null;
+    if (this.buckets.some(row => row.some(bucket => bucket.deadTimes.length > 0))) {
+      this.deadTimeTable = this.buildTable('DEAD TIME TABLE',
+        bucket => this.median(bucket.deadTimes));
+      this.timeConstantTable = this.buildTable('TIME CONSTANT TABLE',
+        bucket => this.median(bucket.timeConstants));
     }
 
+    return table;
+  }
+
+  // Per-file delays of every cell (bucket.files) and the mean-of-medians
+  // table the meta-analysis scripts would build from them: each file's
+  // median over its own events in the cell, averaged over the files that
+  // have one. Compared with the pooled delays on the same grid, it shows
+  // what pooling changes: every event counts once, so long logs outweigh
+  // short ones, and a file needs no events of its own in a cell.
+  compareFileMedians() {
+    const round = value => (value !== null ? Math.round(value * 10) / 10 : null);
+    const fileOf = event => this.sampleFile[event.stepIndex];
+    for (const source of this.sourceFiles) {
+      source.events = 0;
+      source.dfcoEvents = 0;
+    }
+
+    for (const bucket of this.buckets.flat()) {
+      bucket.files = this.sourceFiles.map((source, f) => {
+        const events = bucket.events.filter(event => fileOf(event) === f);
+        const dfcoEvents = bucket.dfcoEvents.filter(event => fileOf(event) === f);
+        source.events += events.length;
+        source.dfcoEvents += dfcoEvents.length;
+        return {
+          file: source.file,
+          events: events.length,
+          dfcoEvents: dfcoEvents.length,
+          delay: this.bucketDelay({ ...bucket, events, dfcoEvents, delays: events.map(e => e.delay) })
+        };
+      });
+    }
+
+    const fileDelays = bucket => bucket.files.map(f => f.delay).filter(delay => delay !== null);
+    const meanOfMediansTable = this.buildTable('MEAN OF PER-FILE MEDIANS', bucket => {
+      const delays = fileDelays(bucket);
+      return delays.length > 0 ? delays.reduce((a, b) => a + b, 0) / delays.length : null;
+    }, bucket => ` (${fileDelays(bucket).length})`);
+    console.log('(n) = files with a median of their own in the cell');
+
+    console.log('\nPer-file events:');
+    for (const source of this.sourceFiles) {
+      console.log(`  ${source.file}: ${source.samples} samples, ${source.events} events` +
+                  (source.dfcoEvents > 0 ? `, ${source.dfcoEvents} DFCO edges` : ''));
+    }
+
+    const cells = [];
+    for (let i = 0; i < this.rpmBucketCount; i++) {
+      for (let j = 0; j < this.loadBucketCount; j++) {
+        const pooled = this.bucketDelay(this.buckets[i][j]);
+        const meanOfMedians = meanOfMediansTable[i].delays[j];
+        if (pooled === null || meanOfMedians === null) continue;
+        cells.push({
+          rpmBucket: i,
+          loadBucket: j,
+          pooled: round(pooled),
+          meanOfMedians: meanOfMedians,
+          files: fileDelays(this.buckets[i][j]).length,
+          difference: round(pooled - meanOfMedians)
+        });
+      }
+    }
+    const meanAbsDifference = cells.length > 0
+      ? round(cells.reduce((a, c) => a + Math.abs(c.difference), 0) / cells.length) : null;
+    if (cells.length > 0) {
+      const largest = cells.reduce((a, b) => (Math.abs(b.difference) > Math.abs(a.difference) ? b : a));
+      console.log(`Pooled vs mean of per-file medians: ${cells.length} cells, mean absolute difference ` +
+                  `${meanAbsDifference.toFixed(1)} ms, largest ${largest.difference.toFixed(1)} ms ` +
+                  `at RPM[${largest.rpmBucket}] Load[${largest.loadBucket}]`);
+    }
+
+    return { meanOfMediansTable, cells, meanAbsDifference };
+  }
+
+  // Print one table of per-bucket values (milliseconds) and return its rows.
+  // Every exported table shares the delayTable row shape. `flagOf` may return
+  // a marker printed after a cell's value.
+  buildTable(title, valueOf, flagOf = () => '', { units = 'ms', print = true } = {}) {
+    const { label, decimals } = TABLE_UNITS[units];
+    const log = print ? console.log : () => {};
+    log(`\n=== ${title} (${label}) ===\n`);
+
+    const table = [];
+
     // Header
     let header = 'RPM \\ Load'.padEnd(12);
-    for (let j = 0; j < this.config.BUCKET_COUNT; j++) {
-      header += String(loadValues[j]).padEnd(12);
+    for (let j = 0; j < this.loadBucketCount; j++) {
+      header += String(this.loadAxisValues[j]).padEnd(12);
     }
-    console.log(header);
-    console.log('-'.repeat(48));
+    log(header);
+    log('-'.repeat(12 * (this.loadBucketCount + 1)));
 
     // Data rows
-    for (let i = 0; i < this.config.BUCKET_COUNT; i++) {
-      const row = { rpm: rpmValues[i], load: loadValues, delays: [] };
-      let line = String(rpmValues[i]).padEnd(12);
+    for (let i = 0; i < this.rpmBucketCount; i++) {
+      const row = { rpm: this.rpmAxisValues[i], load: this.loadAxisValues, delays: [] };
+      let line = String(this.rpmAxisValues[i]).padEnd(12);
 
-      for (let j = 0; j < this.config.BUCKET_COUNT; j++) {
-        const bucket = this.buckets[i][j];
-        const delay = this.median(bucket.delays);
+      for (let j = 0; j < this.loadBucketCount; j++) {
+        const value = valueOf(this.buckets[i][j]);
 
-        // Round to 1 decimal place for JSON export
-        const roundedDelay = delay !== null ? Math.round(delay * 10) / 10 : null;
-        row.delays.push(roundedDelay);
+        // Round for JSON export: 1 decimal place in ms, 2 in revs/cycles
+        const scale = Math.pow(10, decimals);
+        const rounded = value !== null ? Math.round(value * scale) / scale : null;
+        row.delays.push(rounded);
 
-        if (roundedDelay !== null) {
-          line += `${roundedDelay.toFixed(1)}`.padEnd(12);
+        if (rounded !== null) {
+          line += `${rounded.toFixed(decimals)}${flagOf(this.buckets[i][j])}`.padEnd(12);
         } else {
           line += 'N/A'.padEnd(12);
         }
       }
 
-      console.log(line);
+      log(line);
       table.push(row);
     }
 
-    // Store axis values for export
-    this.rpmAxisValues = rpmValues;
-    this.loadAxisValues = loadValues;
-
     return table;
   }
 
+  // Print each cell's confidence interval, count and grade under the delay
+  // table, with the grade limits as a legend
+  printQualityTable() {
+    const width = 20;
+    const level = Math.round(this.config.CONFIDENCE_LEVEL * 100);
+    console.log(`\n=== ${level}% CONFIDENCE INTERVALS (milliseconds, count, grade) ===\n`);
+
+    let header = 'RPM \\ Load'.padEnd(12);
+    for (let j = 0; j < this.loadBucketCount; j++) {
+      header += String(this.loadAxisValues[j]).padEnd(width);
+    }
+    console.log(header);
+    console.log('-'.repeat(12 + width * this.loadBucketCount));
+
+    for (let i = 0; i < this.rpmBucketCount; i++) {
+      let line = String(this.rpmAxisValues[i]).padEnd(12);
+      for (let j = 0; j < this.loadBucketCount; j++) {
+        const q = this.buckets[i][j].quality;
+        line += (q
+          ? `${q.ciLow.toFixed(0)}-${q.ciHigh.toFixed(0)} n=${q.count} ${q.grade}`
+          : 'N/A').padEnd(width);
+      }
+      console.log(line);
+    }
+
+    const limits = this.config.QUALITY_GRADES
+      .map(g => `${g.grade}: n>=${g.minCount}, CI<=${Math.round(g.maxRelativeCi * 100)}%`);
+    console.log(`Grades: ${[...limits, 'D: otherwise'].join('; ')} (CI width relative to the median)`);
+  }
+
+  // Rounded copy of a bucket's distribution for the JSON output
+  exportDistribution(distribution) {
+    if (!distribution) return null;
+    const { histogram, kde, modes } = distribution;
+    return {
+      histogram: histogram,
+      kde: {
+        bandwidth: Math.round(kde.bandwidth * 10) / 10,
+        start: kde.start,
+        stepMs: kde.stepMs,
+        density: kde.density.map(d => Number(d.toPrecision(4)))
+      },
+      modes: modes.map(m => ({ delay: Math.round(m.delay * 10) / 10, weight: Math.round(m.weight * 1000) / 1000 })),
+      multimodal: distribution.multimodal,
+      medianInValley: distribution.medianInValley
+    };
+  }
+
+  // Accepted and rejected PW-step events of a bucket with their quality
+  // scores, so outlier rejection and weighting can be audited
+  exportEvents(bucket) {
+    const round3 = value => Math.round(value * 1000) / 1000;
+    return [...bucket.events, ...bucket.rejected]
+      .sort((a, b) => a.stepIndex - b.stepIndex)
+      .map(event => ({
+        ...(this.sourceFiles ? { file: this.sourceFiles[this.sampleFile[event.stepIndex]].file } : {}),
+        time: Math.round(event.time * 1000) / 1000,
+        delay: Math.round(event.delay * 10) / 10,
+        direction: event.direction,
+        stimulusChange: round3(event.stimulusChange),
+        score: event.quality ? round3(event.quality.score) : null,
+        components: event.quality ? {
+          stepSize: round3(event.quality.stepSize),
+          preStability: round3(event.quality.preStability),
+          responseCleanliness: round3(event.quality.responseCleanliness),
+          interveningStep: event.quality.interveningStep
+        } : null,
+        deviation: event.deviation !== undefined ? Math.round(event.deviation * 100) / 100 : null,
+        excluded: event.excluded || null
+      }));
+  }
+
   // Export results to JSON
   exportResults(table) {
     const output = {
@@ -254,7 +2340,27 @@ class LambdaDelayAnalyzer {
         sourceFile: this.filename,
         generatedAt: new Date().toISOString(),
         totalDataPoints: this.data.length,
-        config: CONFIG
+        profile: this.profile ? this.profile.name : null,
+        columns: this.columnSources || null,
+        sampleRate: this.sampleRate || null,
+        segmentation: this.segmentation || null,
+        multiFile: this.sourceFiles ? this.config.MULTI_FILE : null,
+        sourceFiles: this.sourceFiles || null,
+        timing: this.timing || null,
+        signalConditioning: this.noise ? {
+          lambdaFilters: this.config.LAMBDA_FILTERS || [],
+          pwFilters: this.config.PW_FILTERS || [],
+          sampleRateHz: this.sampleRate ? this.sampleRate.medianRateHz : null,
+          noise: {
+            lambda: Math.round(this.noise.lambda * 10000) / 10000,
+            [this.stimulusSignal()]: Math.round(this.noise.stimulus * 1000) / 1000
+          },
+          thresholds: {
+            lambda: Math.round(this.lambdaThreshold() * 10000) / 10000,
+            [this.stimulusSignal()]: Math.round(this.stimulusThreshold() * 1000) / 1000
+          }
+        } : null,
+        config: this.config
       },
       rpmAxis: this.rpmAxisValues,
       loadAxis: this.loadAxisValues,
@@ -263,25 +2369,76 @@ class LambdaDelayAnalyzer {
         load: this.loadBoundaries
       },
       delayTable: table,
+      revolutionTable: this.revolutionTable,
+      cycleTable: this.cycleTable,
+      richDelayTable: this.richDelayTable,
+      leanDelayTable: this.leanDelayTable,
+      directionTests: this.directionTests,
+      deadTimeTable: this.deadTimeTable,
+      timeConstantTable: this.timeConstantTable,
+      dfcoDelayTable: this.dfcoDelayTable,
+      dfcoComparison: this.dfcoComparison,
+      transportModel: this.transportModel || null,
+      exclusions: {
+        rules: (this.exclusionRules || []).map(rule => rule.reason),
+        skippedRules: this.skippedExclusionRules || [],
+        samples: this.sampleExclusions || {},
+        events: this.eventExclusions(),
+        dfcoEvents: this.eventExclusions('dfcoRejections')
+      },
+      stepQualification: this.stepQualification || null,
+      fileComparison: this.fileComparison || null,
       detailedBuckets: []
     };
 
     // Add detailed bucket information
-    for (let i = 0; i < this.config.BUCKET_COUNT; i++) {
-      for (let j = 0; j < this.config.BUCKET_COUNT; j++) {
+    for (let i = 0; i < this.rpmBucketCount; i++) {
+      for (let j = 0; j < this.loadBucketCount; j++) {
         const bucket = this.buckets[i][j];
-        const medianDelay = this.median(bucket.delays);
+        const medianDelay = this.bucketDelay(bucket);
+        const revolutions = this.bucketRevolutions(bucket);
         const minDelay = bucket.delays.length > 0 ? Math.min(...bucket.delays) : null;
         const maxDelay = bucket.delays.length > 0 ? Math.max(...bucket.delays) : null;
+        const deadTime = this.median(bucket.deadTimes);
+        const timeConstant = this.median(bucket.timeConstants);
+        const dfcoDelay = this.dfcoDelay(bucket);
+        const quality = bucket.quality;
+        const round = value => (value !== null ? Math.round(value * 10) / 10 : null);
+        const accepted = this.config.ESTIMATOR === 'xcorr' ? (bucket.windows || 0) : bucket.events.length;
 
         output.detailedBuckets.push({
           rpmBucket: i,
           loadBucket: j,
-          dataPoints: bucket.data.length,
+          dataPoints: bucket.samples.length,
           delayMeasurements: bucket.delays.length,
+          acceptedEvents: accepted,
+          rejectedEvents: Object.values(bucket.rejections).reduce((a, b) => a + b, 0),
+          rejectionReasons: bucket.rejections,
           medianDelay: medianDelay !== null ? Math.round(medianDelay * 10) / 10 : null,
+          medianRevolutions: revolutions !== null ? Math.round(revolutions * 100) / 100 : null,
+          medianCycles: revolutions !== null
+            ? Math.round(revolutions / this.config.REVS_PER_CYCLE * 100) / 100 : null,
           minDelay: minDelay !== null ? Math.round(minDelay * 10) / 10 : null,
-          maxDelay: maxDelay !== null ? Math.round(maxDelay * 10) / 10 : null
+          maxDelay: maxDelay !== null ? Math.round(maxDelay * 10) / 10 : null,
+          confidenceInterval: quality ? [round(quality.ciLow), round(quality.ciHigh)] : null,
+          confidenceLevel: this.config.CONFIDENCE_LEVEL,
+          iqr: quality ? round(quality.iqr) : null,
+          quartiles: quality ? [round(quality.q1), round(quality.q3)] : null,
+          grade: quality ? quality.grade : null,
+          distribution: this.exportDistribution(bucket.distribution),
+          events: this.config.ESTIMATOR === 'xcorr' ? [] : this.exportEvents(bucket),
+          crossBucketEvents: bucket.events.filter(e => e.crossesBucket).length,
+          correlation: bucket.xcorr ? Math.round(bucket.xcorr.correlation * 1000) / 1000 : null,
+          fittedEvents: bucket.deadTimes.length,
+          deadTime: deadTime !== null ? Math.round(deadTime * 10) / 10 : null,
+          timeConstant: timeConstant !== null ? Math.round(timeConstant * 10) / 10 : null,
+          dfcoEntryEvents: bucket.dfcoEvents.filter(e => e.edge === 'entry').length,
+          dfcoExitEvents: bucket.dfcoEvents.filter(e => e.edge === 'exit').length,
+          dfcoDelay: dfcoDelay !== null ? Math.round(dfcoDelay * 10) / 10 : null,
+          modelled: Boolean(bucket.modelled),
+          modelledDelay: bucket.modelledDelay !== undefined
+            ? Math.round(bucket.modelledDelay * 10) / 10 : null,
+          files: bucket.files ? bucket.files.map(f => ({ ...f, delay: round(f.delay) })) : null
         });
       }
     }
@@ -298,6 +2455,7 @@ class LambdaDelayAnalyzer {
       this.calculateBucketBoundaries();
       this.assignToBuckets();
       this.calculateDelays();
+      this.fitTransportModel();
       const table = this.generateTable();
       this.exportResults(table);
 
@@ -312,20 +2470,32 @@ class LambdaDelayAnalyzer {
 // Main execution
 if (require.main === module) {
   const args = process.argv.slice(2);
+  const stitch = args[0] === '--stitch';
+  const paths = stitch ? args.slice(1) : args;
 
-  if (args.length === 0) {
-    console.error('Usage: node analyze_lambda_delay.js <logfile.msl>');
+  if (paths.length === 0) {
+    console.error('Usage: node analyze_lambda_delay.js <logfile.msl|logfile.mlg>');
+    console.error('       node analyze_lambda_delay.js <logfile|directory|"glob*.msl"> ...   (pooled)');
+    console.error('       node analyze_lambda_delay.js --stitch <logfile> <logfile> ...');
     process.exit(1);
   }
 
-  const filename = args[0];
-
-  if (!fs.existsSync(filename)) {
-    console.error(`Error: File not found: ${filename}`);
+  let files;
+  try {
+    files = expandLogPaths(paths);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
     process.exit(1);
   }
+  for (const filename of files) {
+    if (!fs.existsSync(filename)) {
+      console.error(`Error: File not found: ${filename}`);
+      process.exit(1);
+    }
+  }
 
-  const analyzer = new LambdaDelayAnalyzer(filename);
+  const analyzer = new LambdaDelayAnalyzer(files.length === 1 ? files[0] : files,
+    stitch ? { MULTI_FILE: 'stitch' } : null);
   analyzer.analyze();
 }
 
@@ -49,10 +49,10 @@ for (const tc of testConfigs) {
 
   // Collect median delays for each bucket
   const bucketMedians = [];
-  for (let i = 0; i < 3; i++) {
-    for (let j = 0; j < 3; j++) {
+  for (let i = 0; i < analyzer.rpmBucketCount; i++) {
+    for (let j = 0; j < analyzer.loadBucketCount; j++) {
       const delays = analyzer.buckets[i][j].delays;
-      const median = delays.length > 0 ? analyzer.median(delays) : null;
+      const median = delays.length > 0 ? analyzer.stepDelay(analyzer.buckets[i][j]) : null;
       bucketMedians.push({
         rpm: i,
         load: j,
@@ -72,11 +72,13 @@ for (const tc of testConfigs) {
 // Display comparison table
 console.log('\nMedian Delay Values (ms) by Bucket:\n');
 
-const bucketLabels = [
-  'RPM[0] Load[0]', 'RPM[0] Load[1]', 'RPM[0] Load[2]',
-  'RPM[1] Load[0]', 'RPM[1] Load[1]', 'RPM[1] Load[2]',
-  'RPM[2] Load[0]', 'RPM[2] Load[1]', 'RPM[2] Load[2]'
-];
+const { rows, cols } = LambdaDelayAnalyzer.gridSize(baseConfig);
+const bucketLabels = [];
+for (let i = 0; i < rows; i++) {
+  for (let j = 0; j < cols; j++) {
+    bucketLabels.push(`RPM[${i}] Load[${j}]`);
+  }
+}
 
 // Header
 let header = 'Bucket         ';
@@ -87,7 +89,7 @@ console.log(header);
 console.log('-'.repeat(header.length));
 
 // Each bucket row
-for (let bucketIdx = 0; bucketIdx < 9; bucketIdx++) {
+for (let bucketIdx = 0; bucketIdx < bucketLabels.length; bucketIdx++) {
   let row = bucketLabels[bucketIdx].padEnd(15);
   const valuesInRow = [];
 
@@ -126,7 +128,7 @@ console.log('Stats: CV = Coefficient of Variation (lower = more consistent acros
 console.log('\n\nConsistency Summary:\n');
 
 const bucketStats = [];
-for (let bucketIdx = 0; bucketIdx < 9; bucketIdx++) {
+for (let bucketIdx = 0; bucketIdx < bucketLabels.length; bucketIdx++) {
   const valuesInBucket = [];
   for (const result of allResults) {
     const median = result.buckets[bucketIdx].median;
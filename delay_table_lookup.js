@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+
+// Lookup of delay values from a generated table by bilinear interpolation.
+//
+// Two evaluation modes are available:
+//   'float'   - double precision interpolation, with clamping or linear
+//               extrapolation outside the axes
+//   'integer' - mimics how the ECU firmware evaluates the same table: integer
+//               axes, inputs and cell values, 8-bit fixed-point fractions and
+//               a truncating final shift. Results only depend on integer
+//               arithmetic, so they are bit-for-bit reproducible on any
+//               machine and match a firmware implementation of the same maths.
+//
+// Float mode does not reproduce integer mode bit for bit; the guarantee
+// between them is a tolerance, which compareModes() checks. Given the same
+// table (rounded axes and cells, empty cells filled) and integer inputs, the
+// only differences are the truncated 8-bit fractions, which move the result
+// by less than 2 / 256 of the spread of the four corner cells, and the final
+// truncation, which lowers it by less than 1. So for every point
+//   -2 * spread / 256 < float - integer < 1 + 2 * spread / 256
+const DEFAULT_OPTIONS = {
+  mode: 'float',        // 'float' or 'integer'
+  edges: 'clamp',       // 'clamp' or 'extrapolate' (float mode only)
+  nullCells: 'skip',    // 'skip' (re-weight the valid corners) or 'nearest' (fill first)
+  table: 'delayTable'   // Which table of a lambda_delay_table.json to load
+};
+
+// Fixed-point precision of the interpolation fractions in integer mode
+const FRACTION_BITS = 8;
+const FRACTION_ONE = 1 << FRACTION_BITS;
+
+class DelayTableLookup {
+  constructor(rpmAxis, loadAxis, values, options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    if (!Array.isArray(rpmAxis) || !Array.isArray(loadAxis) || !Array.isArray(values)) {
+      throw new Error('Lookup table needs rpmAxis, loadAxis and a 2D array of values');
+    }
+    if (values.length !== rpmAxis.length || values.some(row => row.length !== loadAxis.length)) {
+      throw new Error(`Table must be ${rpmAxis.length}x${loadAxis.length} to match its axes`);
+    }
+    for (const axis of [rpmAxis, loadAxis]) {
+      for (let k = 1; k < axis.length; k++) {
+        if (!(axis[k] > axis[k - 1])) throw new Error('Table axes must be strictly increasing');
+      }
+    }
+
+    this.rpmAxis = [...rpmAxis];
+    this.loadAxis = [...loadAxis];
+    this.values = values.map(row => row.map(v => (v === null || v === undefined ? null : v)));
+
+    // The ECU table cannot hold empty cells, so integer mode always fills them
+    if (this.options.nullCells === 'nearest' || this.options.mode === 'integer') {
+      this.values = this.fillNearest(this.values);
+    }
+
+    if (this.options.mode === 'integer') {
+      this.intTable = this.toIntegerTable();
+    } else if (this.options.mode !== 'float') {
+      throw new Error(`Unknown lookup mode: ${this.options.mode}`);
+    }
+  }
+
+  // Load a table from a JSON file written by analyze_lambda_delay.js, or a
+  // master table saved from the meta-analysis
+  static fromFile(filename, options = {}) {
+    const content = JSON.parse(fs.readFileSync(filename, 'utf-8'));
+    return DelayTableLookup.fromResults(content, options);
+  }
+
+  // Build a lookup from parsed results. Accepted shapes:
+  //   { rpmAxis, loadAxis, delayTable: [{ rpm, load, delays }, ...] }  (analyzer export)
+  //   { rpmAxis, loadAxis, table: [[...], ...] }                       (plain matrix)
+  //   { defaultLDRPM, defaultLDLoad, defaultLambdaDelayTable }         (meta-analysis code format)
+  static fromResults(results, options = {}) {
+    const merged = { ...DEFAULT_OPTIONS, ...options };
+
+    if (results.defaultLambdaDelayTable) {
+      return new DelayTableLookup(results.defaultLDRPM, results.defaultLDLoad,
+        results.defaultLambdaDelayTable, options);
+    }
+
+    if (Array.isArray(results.table)) {
+      return new DelayTableLookup(results.rpmAxis, results.loadAxis, results.table, options);
+    }
+
+    const rows = results[merged.table];
+    if (!Array.isArray(rows)) {
+      throw new Error(`Table not found in results: ${merged.table}`);
+    }
+    return new DelayTableLookup(results.rpmAxis, results.loadAxis,
+      rows.map(row => row.delays), options);
+  }
+
+  // Evaluate points ([rpm, load] pairs) in float and integer mode on the
+  // table the firmware would hold, and check each difference against the
+  // bounds in the header comment. Returns the per-point results and whether
+  // all of them were within bounds.
+  static compareModes(rpmAxis, loadAxis, values, points) {
+    const firmware = new DelayTableLookup(rpmAxis, loadAxis, values, { mode: 'integer' });
+    const { intTable } = firmware;
+    const float = new DelayTableLookup(intTable.rpmAxis, intTable.loadAxis, intTable.values,
+      { mode: 'float', edges: 'clamp' });
+
+    const results = points.map(([rpm, load]) => {
+      const x = Math.trunc(rpm);
+      const y = Math.trunc(load);
+      const integer = firmware.lookup(x, y);
+      const floatValue = float.lookup(x, y);
+
+      const [i] = firmware.integerPosition(intTable.rpmAxis, x);
+      const [j] = firmware.integerPosition(intTable.loadAxis, y);
+      const i1 = Math.min(i + 1, intTable.rpmAxis.length - 1);
+      const j1 = Math.min(j + 1, intTable.loadAxis.length - 1);
+      const corners = [intTable.values[i][j], intTable.values[i1][j], intTable.values[i][j1], intTable.values[i1][j1]];
+      const fractionError = 2 * (Math.max(...corners) - Math.min(...corners)) / FRACTION_ONE;
+
+      const difference = floatValue - integer;
+      return {
+        rpm: x,
+        load: y,
+        float: floatValue,
+        integer: integer,
+        difference: difference,
+        ok: Number.isInteger(integer) && difference > -fractionError - 1e-9 &&
+          difference < 1 + fractionError + 1e-9
+      };
+    });
+
+    return { points: results, ok: results.every(r => r.ok) };
+  }
+
+  // Interpolated value at one operating point (null if no usable cells)
+  lookup(rpm, load) {
+    if (this.options.mode === 'integer') {
+      return this.lookupInteger(rpm, load);
+    }
+
+    const [i, u] = this.axisPosition(this.rpmAxis, rpm);
+    const [j, v] = this.axisPosition(this.loadAxis, load);
+    const i1 = Math.min(i + 1, this.rpmAxis.length - 1);
+    const j1 = Math.min(j + 1, this.loadAxis.length - 1);
+
+    const corners = [
+      [this.values[i][j], (1 - u) * (1 - v)],
+      [this.values[i1][j], u * (1 - v)],
+      [this.values[i][j1], (1 - u) * v],
+      [this.values[i1][j1], u * v]
+    ];
+
+    if (corners.every(([value]) => value !== null)) {
+      return corners.reduce((sum, [value, weight]) => sum + value * weight, 0);
+    }
+
+    // Re-weight over the corners that hold data. Extrapolated weights can be
+    // negative, so only fall back to this inside the table.
+    let sum = 0;
+    let weightSum = 0;
+    for (const [value, weight] of corners) {
+      if (value === null) continue;
+      sum += value * Math.max(weight, 0);
+      weightSum += Math.max(weight, 0);
+    }
+    if (weightSum > 0) return sum / weightSum;
+
+    const valid = corners.filter(([value]) => value !== null);
+    return valid.length > 0 ? valid.reduce((a, [value]) => a + value, 0) / valid.length : null;
+  }
+
+  // Vectorised lookup for whole logs. Returns a Float64Array with NaN where
+  // no value is available.
+  lookupMany(rpms, loads) {
+    if (rpms.length !== loads.length) {
+      throw new Error('RPM and load arrays must be the same length');
+    }
+    const out = new Float64Array(rpms.length);
+    for (let k = 0; k < rpms.length; k++) {
+      const value = this.lookup(rpms[k], loads[k]);
+      out[k] = value === null ? NaN : value;
+    }
+    return out;
+  }
+
+  // Add the interpolated value to each record as `field`
+  annotate(records, { rpmKey = 'rpm', loadKey = 'load', field = 'delay' } = {}) {
+    for (const record of records) {
+      record[field] = this.lookup(record[rpmKey], record[loadKey]);
+    }
+    return records;
+  }
+
+  // Bin index and fraction along one axis, clamped or extrapolated
+  axisPosition(axis, x) {
+    if (axis.length === 1) return [0, 0];
+
+    let k = 0;
+    while (k < axis.length - 2 && x >= axis[k + 1]) k++;
+
+    let frac = (x - axis[k]) / (axis[k + 1] - axis[k]);
+    if (this.options.edges === 'clamp') {
+      frac = Math.min(Math.max(frac, 0), 1);
+    } else if (this.options.edges !== 'extrapolate') {
+      throw new Error(`Unknown edge mode: ${this.options.edges}`);
+    }
+    return [k, frac];
+  }
+
+  // The table as the firmware stores it: rounded integer axes and cells.
+  // Breakpoints closer than 1 can round onto each other, which would merge
+  // two rows or columns, so such axes are rejected.
+  toIntegerTable() {
+    const roundAxis = (axis, name) => {
+      const rounded = axis.map(Math.round);
+      for (let k = 1; k < rounded.length; k++) {
+        if (!(rounded[k] > rounded[k - 1])) {
+          throw new Error(`The ${name} axis is not strictly increasing once rounded to integers: ` +
+                          `${axis[k - 1]} and ${axis[k]} both become ${rounded[k]}`);
+        }
+      }
+      return rounded;
+    };
+    return {
+      rpmAxis: roundAxis(this.rpmAxis, 'RPM'),
+      loadAxis: roundAxis(this.loadAxis, 'load'),
+      values: this.values.map(row => row.map(v => (v === null ? 0 : Math.round(v))))
+    };
+  }
+
+  // Firmware-style evaluation: inputs are truncated to integers and clamped to
+  // the axes, fractions are FRACTION_BITS fixed point, and the weighted sum of
+  // the four corners is shifted back down with truncation
+  lookupInteger(rpm, load) {
+    const { rpmAxis, loadAxis, values } = this.intTable;
+    const [i, p] = this.integerPosition(rpmAxis, Math.trunc(rpm));
+    const [j, q] = this.integerPosition(loadAxis, Math.trunc(load));
+    const i1 = Math.min(i + 1, rpmAxis.length - 1);
+    const j1 = Math.min(j + 1, loadAxis.length - 1);
+
+    const sum = values[i][j] * (FRACTION_ONE - p) * (FRACTION_ONE - q) +
+                values[i1][j] * p * (FRACTION_ONE - q) +
+                values[i][j1] * (FRACTION_ONE - p) * q +
+                values[i1][j1] * p * q;
+
+    // Every term is a non-negative integer, so flooring is the firmware's >>
+    return Math.floor(sum / (FRACTION_ONE * FRACTION_ONE));
+  }
+
+  integerPosition(axis, x) {
+    if (axis.length === 1 || x <= axis[0]) return [0, 0];
+    if (x >= axis[axis.length - 1]) return [Math.max(axis.length - 2, 0), FRACTION_ONE];
+
+    let k = 0;
+    while (k < axis.length - 2 && x >= axis[k + 1]) k++;
+    return [k, Math.floor(((x - axis[k]) * FRACTION_ONE) / (axis[k + 1] - axis[k]))];
+  }
+
+  // Replace empty cells with the nearest valid cell (by index distance)
+  fillNearest(values) {
+    const valid = [];
+    values.forEach((row, i) => row.forEach((v, j) => {
+      if (v !== null) valid.push([i, j, v]);
+    }));
+    if (valid.length === 0) {
+      throw new Error('Table has no valid cells');
+    }
+
+    return values.map((row, i) => row.map((v, j) => {
+      if (v !== null) return v;
+      let best = valid[0];
+      let bestDist = Infinity;
+      for (const cell of valid) {
+        const dist = Math.pow(cell[0] - i, 2) + Math.pow(cell[1] - j, 2);
+        if (dist < bestDist) {
+          bestDist = dist;
+          best = cell;
+        }
+      }
+      return best[2];
+    }));
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const integer = args.includes('--integer');
+  const positional = args.filter(a => !a.startsWith('--'));
+
+  if (positional.length < 3) {
+    console.error('Usage: node delay_table_lookup.js <lambda_delay_table.json> <rpm> <load> [--integer]');
+    process.exit(1);
+  }
+
+  const [filename, rpm, load] = positional;
+  const lookup = DelayTableLookup.fromFile(filename, { mode: integer ? 'integer' : 'float' });
+  const delay = lookup.lookup(parseFloat(rpm), parseFloat(load));
+  console.log(delay !== null ? `${delay}` : 'N/A');
+}
+
+module.exports = DelayTableLookup;
@@ -0,0 +1,173 @@
+const LambdaDelayAnalyzer = require('./analyze_lambda_delay.js');
+
+// One RPM/load grid for the master table of several logs, shared by
+// meta_analysis.js and meta_analysis_parallel.js.
+//
+// With percentile bucketing each file's grid has its own boundaries, so cell
+// [i][j] covers different RPM and load ranges from file to file and cannot be
+// averaged across files. Instead every file is reduced to sketches of its RPM
+// and load distributions and the PW-step delays it measured. One grid is
+// built from the pooled sketches (or from the fixed breakpoints with
+// GRID_MODE 'fixed'), every file's delays are re-binned onto it, and the
+// files are combined cell by cell.
+
+// Each file's RPM and load distribution of fuelled samples is kept as this
+// many evenly spaced quantiles (min and max included) rather than every
+// sample. The global grid is built from GRID_POOLED_SAMPLES points drawn
+// from the sketches in proportion to each file's sample count.
+const GRID_SKETCH_SIZE = 1001;
+const GRID_POOLED_SAMPLES = 10000;
+
+// Evenly spaced quantiles of the values, first and last included
+function quantileSketch(values, size = GRID_SKETCH_SIZE) {
+  const sorted = Float64Array.from(values).sort();
+  const points = Math.min(size, sorted.length);
+  const quantiles = Array.from({ length: points }, (_, k) =>
+    sorted[points > 1 ? Math.round(k * (sorted.length - 1) / (points - 1)) : 0]);
+  return { quantiles, count: sorted.length };
+}
+
+// What the global grid needs from one analysed file (after calculateDelays):
+// every accepted PW-step delay with the RPM and load it was measured at
+// (threshold estimator), and sketches of the fuelled RPM and load samples
+function fileGridData(analyzer) {
+  const measurements = [];
+  for (const row of analyzer.buckets) {
+    for (const bucket of row) {
+      const weights = analyzer.delayWeights(bucket);
+      bucket.events.forEach((event, k) => {
+        if (weights[k] > 0) {
+          measurements.push({
+            delay: bucket.delays[k],
+            rpm: event.rpm,
+            load: analyzer.data.load[event.stepIndex],
+            weight: weights[k]
+          });
+        }
+      });
+    }
+  }
+
+  const fuelled = values => values.filter((_, k) => !analyzer.fuelCut[k]);
+  return {
+    measurements,
+    rpmSketch: quantileSketch(fuelled(analyzer.data.rpm)),
+    loadSketch: quantileSketch(fuelled(analyzer.data.load))
+  };
+}
+
+// Sorted samples rebuilt from the sketches, each file giving points in
+// proportion to its sample count
+function pooledSamples(sketches) {
+  const total = sketches.reduce((a, s) => a + s.count, 0);
+  const samples = [];
+  for (const { quantiles, count } of sketches) {
+    if (quantiles.length === 0) continue;
+    const points = Math.max(2, Math.round(GRID_POOLED_SAMPLES * count / total));
+    for (let n = 0; n < points; n++) {
+      const position = n * (quantiles.length - 1) / (points - 1);
+      const low = Math.floor(position);
+      const high = Math.min(low + 1, quantiles.length - 1);
+      samples.push(quantiles[low] + (position - low) * (quantiles[high] - quantiles[low]));
+    }
+  }
+  return Float64Array.from(samples).sort();
+}
+
+// An analyzer without a log whose boundaries and axis values span all the
+// files' fileGridData
+function buildGlobalGrid(config, files) {
+  const grid = new LambdaDelayAnalyzer(null, config);
+  grid.gridAxes(pooledSamples(files.map(f => f.rpmSketch)), pooledSamples(files.map(f => f.loadSketch)));
+  return grid;
+}
+
+// One file's delay in every global cell: the weighted median of its
+// measurements that fall in it, and how many there were
+function globalTable(grid, measurements) {
+  const cells = Array.from({ length: grid.rpmBucketCount }, () =>
+    Array.from({ length: grid.loadBucketCount }, () => ({ values: [], weights: [], rpms: [] })));
+  for (const m of measurements) {
+    const i = grid.getBucketIndex(m.rpm, grid.rpmBoundaries);
+    const j = grid.getBucketIndex(m.load, grid.loadBoundaries);
+    if (i === -1 || j === -1) continue;
+    cells[i][j].values.push(m.delay);
+    cells[i][j].weights.push(m.weight);
+    cells[i][j].rpms.push(m.rpm);
+  }
+
+  return cells.map((row, i) => row.map(cell => {
+    const median = cell.values.length > 0 ? grid.aggregateDelay({ rpmBucket: i }, cell) : null;
+    return {
+      median: median !== null ? Math.round(median * 10) / 10 : null,
+      count: cell.values.length
+    };
+  }));
+}
+
+// Per-cell statistics of the files' global tables, keyed '[i,j]'. The mean
+// is weighted by measurement count, so a file with two events in a cell
+// counts for less than one with fifty. A cell covered by one file is kept
+// with that file's delay.
+function combineTables(grid, tables) {
+  const bucketStats = {};
+
+  for (let i = 0; i < grid.rpmBucketCount; i++) {
+    for (let j = 0; j < grid.loadBucketCount; j++) {
+      const values = [];
+      const counts = [];
+      for (const table of tables) {
+        const { median, count } = table[i][j];
+        if (median !== null) {
+          values.push(median);
+          counts.push(count);
+        }
+      }
+      if (values.length === 0) continue;
+
+      const measurements = counts.reduce((a, b) => a + b, 0);
+      const mean = values.reduce((a, v, k) => a + v * counts[k], 0) / measurements;
+      const variance = values.reduce((a, v, k) => a + counts[k] * Math.pow(v - mean, 2), 0) / measurements;
+      const stdDev = Math.sqrt(variance);
+      const min = Math.min(...values);
+      const max = Math.max(...values);
+
+      bucketStats[`[${i},${j}]`] = {
+        rpm: i,
+        load: j,
+        filesWithData: values.length,
+        measurements: measurements,
+        values: values,
+        mean: mean,
+        stdDev: stdDev,
+        cv: (stdDev / mean) * 100,
+        min: min,
+        max: max,
+        range: max - min
+      };
+    }
+  }
+
+  return bucketStats;
+}
+
+// Master delay of every global cell in ms (1 decimal), null without data
+function buildMasterTable(grid, bucketStats) {
+  return Array.from({ length: grid.rpmBucketCount }, (_, i) =>
+    Array.from({ length: grid.loadBucketCount }, (_, j) => {
+      const stats = bucketStats[`[${i},${j}]`];
+      return stats ? Math.round(stats.mean * 10) / 10 : null;
+    }));
+}
+
+module.exports = {
+  GRID_SKETCH_SIZE,
+  GRID_POOLED_SAMPLES,
+  quantileSketch,
+  fileGridData,
+  pooledSamples,
+  buildGlobalGrid,
+  globalTable,
+  combineTables,
+  buildMasterTable
+};
@@ -0,0 +1,209 @@
+const { readFirstLine } = require('./log_reader.js');
+
+// Log-format profiles for different ECUs.
+//
+// A profile lists, for every signal the analysis needs, the column names
+// (aliases) that ECU's logs use, tried in order. It also gives the field
+// delimiter, the stoichiometric AFR used to convert AFR columns to lambda,
+// the unit of the time column and which columns can serve as load. Profiles
+// are picked from the first line of the log (e.g. "speeduino 202207") unless
+// the config forces one.
+//
+// Signals:
+//   time, rpm, pw       - required
+//   lambda / afr        - lambda preferred; AFR is divided by the stoich ratio
+//   fuelLoad, map, tps  - load sources, picked by LOAD_SOURCE
+//   mapRpm              - optional exhaust flow proxy for the transport model
+//   pw2, battery        - optional staged PW and battery voltage for the
+//                         effective fuel stimulus
+//   accelEnrich, warmup, ego, clt, dfco, syncLoss, engine
+//                       - optional ECU status, used by the exclusion rules
+
+// Status signals loaded when present, for the exclusion rules
+const STATUS_SIGNALS = ['accelEnrich', 'warmup', 'ego', 'clt', 'dfco', 'syncLoss', 'engine'];
+
+const PROFILES = {
+  speeduino: {
+    description: 'Speeduino (TunerStudio .msl/.mlg)',
+    signature: /speeduino/i,
+    delimiter: '\t',
+    stoichAfr: 14.7,
+    timeUnits: 's',
+    columns: {
+      time: ['Time'],
+      rpm: ['RPM'],
+      pw: ['PW', 'PW1'],
+      pw2: ['PW2'],
+      battery: ['Battery V'],
+      lambda: ['Lambda'],
+      afr: ['AFR'],
+      fuelLoad: ['FuelLoad'],
+      map: ['MAP'],
+      tps: ['TPS'],
+      mapRpm: ['MAPxRPM'],
+      accelEnrich: ['Accel Enrich'],
+      warmup: ['Gwarm'],
+      ego: ['Gego'],
+      clt: ['CLT'],
+      dfco: ['DFCO'],
+      syncLoss: ['Sync Loss #'],
+      engine: ['Engine']
+    },
+    load: ['fuelLoad', 'map']
+  },
+
+  rusefi: {
+    description: 'rusEFI CSV export',
+    signature: /rusefi/i,
+    delimiter: 'auto',
+    stoichAfr: 14.7,
+    timeUnits: 's',
+    columns: {
+      time: ['Time', 'time', 'timeSeconds'],
+      rpm: ['RPM', 'rpm', 'RPMValue'],
+      pw: ['Fuel: Injection duration', 'injectorPW', 'actualLastInjection', 'PW'],
+      pw2: ['Fuel: Injection duration stage 2', 'actualLastInjectionStage2'],
+      battery: ['VBatt', 'vBatt', 'Battery'],
+      lambda: ['Lambda', 'lambdaValue', 'Lambda 1'],
+      afr: ['AFR', 'AFRValue', 'Air/Fuel Ratio'],
+      fuelLoad: ['Fuel: Load', 'fuelingLoad', 'Engine Load'],
+      map: ['MAP', 'MAPValue'],
+      tps: ['TPS', 'TPSValue'],
+      mapRpm: [],
+      clt: ['CLT', 'coolant'],
+      dfco: ['DFCO'],
+      syncLoss: ['Sync Loss #', 'totalTriggerErrorCounter']
+    },
+    load: ['map', 'fuelLoad']
+  },
+
+  megasquirt: {
+    description: 'MegaSquirt MS2/MS3 (TunerStudio .msl)',
+    signature: /\b(MS2|MS3|MSII|MS2Extra|MS3Format)/i,
+    delimiter: '\t',
+    stoichAfr: 14.7,
+    timeUnits: 's',
+    columns: {
+      time: ['Time'],
+      rpm: ['RPM'],
+      pw: ['PW', 'PW1', 'Pulse Width 1'],
+      pw2: ['PW2', 'Pulse Width 2'],
+      battery: ['Batt V', 'Battery V'],
+      lambda: ['Lambda', 'Lambda1'],
+      afr: ['AFR', 'AFR1'],
+      fuelLoad: ['Fuel Load', 'FuelLoad'],
+      map: ['MAP'],
+      tps: ['TPS'],
+      mapRpm: [],
+      accelEnrich: ['Accel Enrich'],
+      warmup: ['Gwarm', 'Warmup Enrich'],
+      ego: ['Gego', 'EGO cor1'],
+      clt: ['CLT'],
+      dfco: ['DFCO'],
+      syncLoss: ['Sync Loss #', 'Lost sync count'],
+      engine: ['Engine']
+    },
+    load: ['fuelLoad', 'map']
+  },
+
+  generic: {
+    description: 'Generic CSV/TSV with common column names',
+    signature: null,
+    delimiter: 'auto',
+    stoichAfr: 14.7,
+    timeUnits: 's',
+    columns: {
+      time: ['Time', 'time', 'Time (s)', 'Timestamp'],
+      rpm: ['RPM', 'rpm', 'Engine Speed', 'Engine RPM'],
+      pw: ['PW', 'PW1', 'Pulse Width', 'Injector PW', 'Injection Time'],
+      pw2: ['PW2'],
+      battery: ['Battery V', 'Battery', 'VBatt'],
+      lambda: ['Lambda', 'lambda', 'Lambda1', 'Lambda 1'],
+      afr: ['AFR', 'AFR1', 'Air/Fuel Ratio', 'Wideband AFR'],
+      fuelLoad: ['FuelLoad', 'Fuel Load', 'Load', 'Engine Load'],
+      map: ['MAP', 'Manifold Pressure', 'MAP (kPa)'],
+      tps: ['TPS', 'Throttle', 'Throttle Position'],
+      mapRpm: ['MAPxRPM'],
+      accelEnrich: ['Accel Enrich'],
+      warmup: ['Gwarm'],
+      ego: ['Gego'],
+      clt: ['CLT', 'Coolant'],
+      dfco: ['DFCO'],
+      syncLoss: ['Sync Loss #'],
+      engine: ['Engine']
+    },
+    load: ['fuelLoad', 'map', 'tps']
+  }
+};
+
+// Profile whose signature matches the log's first line, or the generic one
+function detectProfile(firstLine) {
+  for (const [name, profile] of Object.entries(PROFILES)) {
+    if (profile.signature && profile.signature.test(firstLine)) return name;
+  }
+  return 'generic';
+}
+
+// Profile for a log: config.PROFILE may name a built-in profile, supply a
+// profile object, or be 'auto' to detect it from the file
+function selectProfile(filename, config) {
+  const choice = config.PROFILE || 'auto';
+
+  if (typeof choice === 'object') {
+    return { name: choice.name || 'custom', ...PROFILES.generic, ...choice };
+  }
+
+  const name = choice === 'auto' ? detectProfile(readFirstLine(filename)) : choice;
+  if (!PROFILES[name]) {
+    throw new Error(`Unknown log profile: ${name} (available: ${Object.keys(PROFILES).join(', ')})`);
+  }
+  return { name, ...PROFILES[name] };
+}
+
+// Column specs for readLog built from a profile and the config overrides:
+//   STOICH_AFR      - stoich ratio for AFR -> lambda (profile default otherwise)
+//   LOAD_SOURCE     - 'auto', 'fuelLoad', 'map' or 'tps' (alpha-N)
+//   TIME_UNITS      - 's' or 'ms' when the time column is not in seconds
+//   COLUMN_ALIASES  - { signal: ['Header', ...] } tried before the profile's aliases
+function profileReadOptions(profile, config) {
+  const aliases = signal => [...((config.COLUMN_ALIASES || {})[signal] || []),
+                             ...(profile.columns[signal] || [])];
+
+  const stoich = config.STOICH_AFR || profile.stoichAfr;
+  const timeScale = (config.TIME_UNITS || profile.timeUnits) === 'ms' ? 0.001 : 1;
+
+  const loadSource = config.LOAD_SOURCE || 'auto';
+  const loadSignals = loadSource === 'auto' ? profile.load : [loadSource];
+  for (const signal of loadSignals) {
+    if (!['fuelLoad', 'map', 'tps'].includes(signal)) {
+      throw new Error(`Unknown load source: ${signal}`);
+    }
+  }
+
+  return {
+    columns: {
+      time: aliases('time').map(name => ({ name, scale: timeScale })),
+      rpm: aliases('rpm'),
+      pw: aliases('pw'),
+      lambda: [...aliases('lambda'), ...aliases('afr').map(name => ({ name, scale: 1 / stoich }))],
+      load: loadSignals.flatMap(aliases)
+    },
+    optional: {
+      map: aliases('map'),
+      mapRpm: aliases('mapRpm'),
+      pw2: aliases('pw2'),
+      battery: aliases('battery'),
+      ...Object.fromEntries(STATUS_SIGNALS.map(signal => [signal, aliases(signal)]))
+    },
+    delimiter: profile.delimiter,
+    findHeader: true
+  };
+}
+
+module.exports = {
+  PROFILES,
+  STATUS_SIGNALS,
+  detectProfile,
+  selectProfile,
+  profileReadOptions
+};
@@ -0,0 +1,303 @@
+const fs = require('fs');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const { isMlgFile, readMlgFileHeader, forEachMlgRecord } = require('./mlg_reader.js');
+
+// Streaming reader for MegaLogViewer logs: tab-separated text (.msl) and,
+// through mlg_reader.js, binary (.mlg). The format is detected from the file
+// contents, not the extension.
+//
+// The file is read in fixed-size chunks and parsed line by line, and only the
+// selected columns are kept, each in its own growable Float64Array. Memory
+// therefore scales with rows x selected columns rather than with the whole
+// file or the 50+ columns a Speeduino log carries.
+
+const CHUNK_SIZE = 64 * 1024;
+
+// Columnar dataset: one typed array per column, exposed as a property of the
+// same name (dataset.time[i], dataset.rpm[i], ...)
+class LogDataset {
+  constructor(columnNames, capacity = 1024) {
+    this.columnNames = [...columnNames];
+    this.length = 0;
+    this.capacity = capacity;
+    for (const name of this.columnNames) {
+      this[name] = new Float64Array(capacity);
+    }
+  }
+
+  // Append one row given as an object keyed by column name
+  push(row) {
+    if (this.length === this.capacity) {
+      this.capacity *= 2;
+      for (const name of this.columnNames) {
+        const grown = new Float64Array(this.capacity);
+        grown.set(this[name]);
+        this[name] = grown;
+      }
+    }
+    for (const name of this.columnNames) {
+      this[name][this.length] = row[name];
+    }
+    this.length++;
+  }
+
+  // Add (or replace) a whole column computed after loading
+  setColumn(name, values) {
+    if (values.length !== this.length) {
+      throw new Error(`Column ${name} has ${values.length} values, expected ${this.length}`);
+    }
+    if (!this.columnNames.includes(name)) this.columnNames.push(name);
+    this[name] = Float64Array.from(values);
+  }
+
+  hasColumn(name) {
+    return this.columnNames.includes(name);
+  }
+
+  // Release the unused capacity once loading is complete
+  trim() {
+    for (const name of this.columnNames) {
+      this[name] = this[name].slice(0, this.length);
+    }
+    this.capacity = this.length;
+    return this;
+  }
+
+  // One row as a plain object, for reporting
+  row(index) {
+    const row = {};
+    for (const name of this.columnNames) row[name] = this[name][index];
+    return row;
+  }
+}
+
+// Call `callback(line, lineNumber)` for each line of a file without holding
+// the whole file in memory. Returning false from the callback stops reading.
+function forEachLine(filename, callback) {
+  const fd = fs.openSync(filename, 'r');
+  const buffer = Buffer.alloc(CHUNK_SIZE);
+  const decoder = new StringDecoder('utf8');
+  let remainder = '';
+  let lineNumber = 0;
+
+  try {
+    let bytes;
+    while ((bytes = fs.readSync(fd, buffer, 0, CHUNK_SIZE, null)) > 0) {
+      const lines = (remainder + decoder.write(buffer.subarray(0, bytes))).split('\n');
+      remainder = lines.pop();
+      for (const line of lines) {
+        if (callback(line, lineNumber++) === false) return;
+      }
+    }
+    remainder += decoder.end();
+    if (remainder.length > 0) callback(remainder, lineNumber);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Split a text log line into fields, dropping CSV-style quotes
+function splitFields(line, delimiter) {
+  const fields = line.split(delimiter);
+  if (line.includes('"')) {
+    for (let k = 0; k < fields.length; k++) {
+      fields[k] = fields[k].trim().replace(/^"(.*)"$/, '$1');
+    }
+  }
+  return fields;
+}
+
+// Stream the records of a delimited text log (.msl or CSV).
+// `onHeader(headers, preamble)` is called with the column names, then
+// `onRecord(fields)` for each data line.
+//
+// By default the headers sit on line 3 (lines 1-2 hold the format string and
+// capture date) and fields are tab-separated. Pass `isHeader(fields)` to
+// detect the header line instead, and `delimiter: 'auto'` to try tab, comma
+// and semicolon on each candidate line. Lines before the header are the
+// preamble.
+function forEachMslRecord(filename, onHeader, onRecord, { delimiter = '\t', isHeader = null } = {}) {
+  const MAX_PREAMBLE_LINES = 50;
+  const preamble = [];
+  let separator = delimiter === 'auto' ? null : delimiter;
+  let inData = false;
+
+  forEachLine(filename, (rawLine, lineNumber) => {
+    if (!inData) {
+      const line = rawLine.replace(/\r$/, '');
+      const candidates = separator ? [separator] : ['\t', ',', ';'];
+      const found = isHeader
+        ? candidates.find(sep => isHeader(splitFields(line, sep)))
+        : (lineNumber === 2 ? candidates[0] : undefined);
+
+      if (found === undefined) {
+        if (lineNumber >= MAX_PREAMBLE_LINES) {
+          throw new Error('Required columns not found in file');
+        }
+        preamble.push(line.trim());
+        return;
+      }
+
+      separator = found;
+      inData = true;
+      onHeader(splitFields(line, separator).map(h => h.trim()), preamble);
+      return;
+    }
+
+    const line = rawLine.trim();
+    if (line) onRecord(splitFields(line, separator));
+  });
+}
+
+// Text or binary log, detected from the file's signature
+function detectFormat(filename) {
+  return isMlgFile(filename) ? 'mlg' : 'msl';
+}
+
+// Column specs are a header name, or a list of aliases tried in order. An
+// alias may be { name, scale } to convert units as the value is read.
+function normaliseAliases(spec) {
+  return (Array.isArray(spec) ? spec : [spec])
+    .map(alias => (typeof alias === 'string' ? { name: alias, scale: 1 } : { scale: 1, ...alias }));
+}
+
+// Read the selected columns of an .msl, CSV or .mlg log into a LogDataset.
+//
+//   columns   - { key: spec } columns that must be present
+//   optional  - { key: spec } columns loaded only if present
+//   accept    - optional filter called with each parsed row; return false to skip it
+//   delimiter - text logs only: field separator, or 'auto'
+//   findHeader - text logs only: locate the header line by its columns
+//                instead of assuming line 3
+//
+// Rows where a required column is not a number are skipped. Returns the
+// dataset plus the header name each column was read from.
+function readLog(filename, { columns, optional = {}, accept = null, delimiter = '\t', findHeader = false }) {
+  const format = detectFormat(filename);
+  const required = Object.entries(columns).map(([key, spec]) => [key, normaliseAliases(spec)]);
+  const extra = Object.entries(optional).map(([key, spec]) => [key, normaliseAliases(spec)]);
+
+  const resolve = (headers, aliases) => aliases.find(alias => headers.includes(alias.name));
+
+  let preamble = [];
+  let selected = null;
+  let dataset = null;
+  const sources = {};
+  const row = {};
+
+  const onHeader = (headers, headerPreamble) => {
+    preamble = headerPreamble;
+    const missing = required.filter(([, aliases]) => !resolve(headers, aliases));
+    if (missing.length > 0) {
+      const names = missing.map(([, aliases]) => aliases.map(a => a.name).join(' or '));
+      throw new Error(`Required columns not found in file: ${names.join(', ')}`);
+    }
+
+    selected = [];
+    for (const [key, aliases] of required) {
+      const alias = resolve(headers, aliases);
+      selected.push({ key, index: headers.indexOf(alias.name), scale: alias.scale, required: true });
+      sources[key] = alias.name;
+    }
+    for (const [key, aliases] of extra) {
+      const alias = resolve(headers, aliases);
+      if (!alias) continue;
+      selected.push({ key, index: headers.indexOf(alias.name), scale: alias.scale, required: false });
+      sources[key] = alias.name;
+    }
+    dataset = new LogDataset(selected.map(c => c.key));
+  };
+
+  // Text fields arrive as strings, binary fields already as numbers
+  const onRecord = fields => {
+    for (const column of selected) {
+      const field = fields[column.index];
+      const value = (typeof field === 'number' ? field : parseFloat(field)) * column.scale;
+      if (column.required && isNaN(value)) return;
+      row[column.key] = value;
+    }
+    if (accept && !accept(row)) return;
+
+    dataset.push(row);
+  };
+
+  if (format === 'mlg') {
+    forEachMlgRecord(filename, onHeader, onRecord);
+  } else {
+    const isHeader = findHeader
+      ? fields => required.every(([, aliases]) => resolve(fields.map(f => f.trim()), aliases))
+      : null;
+    forEachMslRecord(filename, onHeader, onRecord, { delimiter, isHeader });
+  }
+
+  if (!dataset) {
+    throw new Error('Required columns not found in file');
+  }
+
+  return { dataset: dataset.trim(), preamble, format, sources };
+}
+
+// First line of a log: the format string of a text log, or the info text
+// of a binary one. Used to pick a log-format profile.
+function readFirstLine(filename) {
+  if (detectFormat(filename) === 'mlg') {
+    return readMlgFileHeader(filename).info.split(/\r?\n/)[0].trim();
+  }
+
+  let first = '';
+  forEachLine(filename, line => {
+    first = line.trim();
+    return false;
+  });
+  return first;
+}
+
+// Log files the analysis tools pick up when scanning a directory
+const LOG_EXTENSIONS = ['.msl', '.mlg'];
+
+function isLogFile(filename) {
+  return LOG_EXTENSIONS.some(ext => filename.toLowerCase().endsWith(ext));
+}
+
+// Log files named by a path or list of paths. A directory expands to the log
+// files in it, and * and ? in the last path component match names in its
+// directory. Expansions are sorted by name; duplicates are dropped. Plain
+// paths are returned as given, so a missing file fails when it is read.
+function expandLogPaths(specs) {
+  const files = [];
+  const add = file => {
+    if (!files.includes(file)) files.push(file);
+  };
+
+  for (const spec of Array.isArray(specs) ? specs : [specs]) {
+    const name = path.basename(spec);
+    if (/[*?]/.test(name)) {
+      const dir = path.dirname(spec);
+      const pattern = new RegExp('^' + name.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+      const matches = fs.existsSync(dir) ? fs.readdirSync(dir).filter(entry => pattern.test(entry)).sort() : [];
+      if (matches.length === 0) throw new Error(`No files match ${spec}`);
+      matches.forEach(entry => add(path.join(dir, entry)));
+    } else if (fs.existsSync(spec) && fs.statSync(spec).isDirectory()) {
+      const logs = fs.readdirSync(spec).filter(isLogFile).sort();
+      if (logs.length === 0) throw new Error(`No log files in ${spec}`);
+      logs.forEach(entry => add(path.join(spec, entry)));
+    } else {
+      add(spec);
+    }
+  }
+  return files;
+}
+
+module.exports = {
+  LogDataset,
+  LOG_EXTENSIONS,
+  detectFormat,
+  expandLogPaths,
+  forEachLine,
+  forEachMslRecord,
+  isLogFile,
+  readFirstLine,
+  readLog
+};
@@ -1,6 +1,8 @@
 #!/usr/bin/env node
 
 const LambdaDelayAnalyzer = require('./analyze_lambda_delay.js');
+const { isLogFile } = require('./log_reader.js');
+const { fileGridData, buildGlobalGrid, globalTable, combineTables, buildMasterTable } = require('./global_grid.js');
 const fs = require('fs');
 const path = require('path');
 
@@ -14,12 +16,16 @@ const config = {
   BUCKET_COUNT: 3
 };
 
+// Grid dimensions follow the config (percentile counts or fixed breakpoints)
+const { rows: rpmBuckets, cols: loadBuckets } = LambdaDelayAnalyzer.gridSize(config);
+const totalBuckets = rpmBuckets * loadBuckets;
+
 console.log('Meta-Analysis: Analyzing all log files from the same car\n');
 console.log('='.repeat(100));
 
-// Find all .msl files
+// Find all log files (.msl text or .mlg binary)
 const logFiles = fs.readdirSync('example')
-  .filter(f => f.endsWith('.msl'))
+  .filter(isLogFile)
   .map(f => path.join('example', f))
   .sort();
 
@@ -45,16 +51,16 @@ for (const logFile of logFiles) {
 
     console.log = originalLog;
 
-    // Extract delay table
+    // Extract the delay table on the file's own grid
     const delayTable = [];
     let totalMeasurements = 0;
     let bucketsWithData = 0;
 
-    for (let i = 0; i < 3; i++) {
+    for (let i = 0; i < rpmBuckets; i++) {
       delayTable[i] = [];
-      for (let j = 0; j < 3; j++) {
+      for (let j = 0; j < loadBuckets; j++) {
         const delays = analyzer.buckets[i][j].delays;
-        const median = delays.length > 0 ? analyzer.median(delays) : null;
+        const median = delays.length > 0 ? analyzer.stepDelay(analyzer.buckets[i][j]) : null;
         delayTable[i][j] = {
           median: median !== null ? Math.round(median * 10) / 10 : null,
           count: delays.length
@@ -71,11 +77,12 @@ for (const logFile of logFiles) {
       bucketsWithData: bucketsWithData,
       rpmBoundaries: analyzer.rpmBoundaries,
       loadBoundaries: analyzer.loadBoundaries,
-      delayTable: delayTable
+      delayTable: delayTable,
+      ...fileGridData(analyzer)
     });
 
     console.log(`✓ ${basename.padEnd(30)} ${analyzer.data.length.toString().padStart(6)} points, ` +
-                `${totalMeasurements.toString().padStart(4)} measurements, ${bucketsWithData}/9 buckets`);
+                `${totalMeasurements.toString().padStart(4)} measurements, ${bucketsWithData}/${totalBuckets} buckets`);
 
   } catch (error) {
     console.log(`✗ ${basename.padEnd(30)} ERROR: ${error.message}`);
@@ -85,52 +92,26 @@ for (const logFile of logFiles) {
 console.log('\n' + '='.repeat(100));
 console.log('\nCross-File Delay Value Analysis\n');
 
-// For each bucket, collect all delay values across files
-const bucketStats = {};
-
-for (let i = 0; i < 3; i++) {
-  for (let j = 0; j < 3; j++) {
-    const bucketKey = `[${i},${j}]`;
-    const values = [];
+// Each file's grid has its own percentile boundaries, so the master table is
+// built on one grid for all files, with every file's measurements re-binned
+// onto it (see global_grid.js)
+const grid = buildGlobalGrid(config, allResults);
 
-    for (const result of allResults) {
-      const median = result.delayTable[i][j].median;
-      if (median !== null) {
-        values.push(median);
-      }
-    }
+console.log(`Global RPM boundaries: ${grid.rpmBoundaries.map(r => r.toFixed(0)).join(', ')}`);
+console.log(`Global load boundaries: ${grid.loadBoundaries.map(l => l.toFixed(1)).join(', ')}\n`);
 
-    if (values.length > 1) {
-      const mean = values.reduce((a, b) => a + b, 0) / values.length;
-      const variance = values.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / values.length;
-      const stdDev = Math.sqrt(variance);
-      const cv = (stdDev / mean) * 100;
-      const min = Math.min(...values);
-      const max = Math.max(...values);
-      const range = max - min;
-
-      bucketStats[bucketKey] = {
-        rpm: i,
-        load: j,
-        filesWithData: values.length,
-        values: values,
-        mean: mean,
-        stdDev: stdDev,
-        cv: cv,
-        min: min,
-        max: max,
-        range: range
-      };
-    }
-  }
-}
+const bucketStats = combineTables(grid, allResults.map(result => globalTable(grid, result.measurements)));
 
 // Display bucket statistics
-console.log('Delay Value Consistency Across Log Files:\n');
-console.log('Bucket      Files  Mean(ms)  StdDev   CV%    Min     Max     Range   Assessment');
+console.log('Delay Value Consistency Across Log Files (means weighted by measurement count):\n');
+console.log('Bucket      Files  Events  Mean(ms)  StdDev   CV%    Min     Max     Range   Assessment');
 console.log('-'.repeat(100));
 
-const sortedBuckets = Object.entries(bucketStats).sort((a, b) => a[1].cv - b[1].cv);
+// Consistency needs at least two files; single-file cells still go into the
+// master table
+const sortedBuckets = Object.entries(bucketStats)
+  .filter(([, stats]) => stats.filesWithData > 1)
+  .sort((a, b) => a[1].cv - b[1].cv);
 
 for (const [bucket, stats] of sortedBuckets) {
   let assessment;
@@ -140,6 +121,7 @@ for (const [bucket, stats] of sortedBuckets) {
   else assessment = 'VARIABLE';
 
   console.log(`${bucket.padEnd(11)} ${stats.filesWithData.toString().padStart(5)}  ` +
+              `${stats.measurements.toString().padStart(6)}  ` +
               `${stats.mean.toFixed(1).padStart(7)}  ` +
               `${stats.stdDev.toFixed(1).padStart(6)}  ` +
               `${stats.cv.toFixed(1).padStart(5)}  ` +
@@ -148,7 +130,7 @@ for (const [bucket, stats] of sortedBuckets) {
               `${stats.range.toFixed(1).padStart(6)}  ${assessment}`);
 }
 
-const avgCV = Object.values(bucketStats).reduce((a, b) => a + b.cv, 0) / Object.keys(bucketStats).length;
+const avgCV = sortedBuckets.reduce((a, [, stats]) => a + stats.cv, 0) / sortedBuckets.length;
 console.log('\n' + '-'.repeat(100));
 console.log(`Average CV across all buckets: ${avgCV.toFixed(1)}%`);
 
@@ -162,28 +144,22 @@ if (avgCV < 20) {
 
 // Calculate a "master" delay table from all files
 console.log('\n' + '='.repeat(100));
-console.log('\nMaster Delay Table (Aggregate from all files):\n');
-
-const masterTable = [];
-for (let i = 0; i < 3; i++) {
-  masterTable[i] = [];
-  for (let j = 0; j < 3; j++) {
-    const bucketKey = `[${i},${j}]`;
-    if (bucketStats[bucketKey]) {
-      masterTable[i][j] = Math.round(bucketStats[bucketKey].mean * 10) / 10;
-    } else {
-      masterTable[i][j] = null;
-    }
-  }
-}
+console.log('\nMaster Delay Table (Aggregate from all files, on the global grid):\n');
+
+const masterTable = buildMasterTable(grid, bucketStats);
+const rpmAxis = grid.rpmAxisValues.map(Math.round);
+const loadAxis = grid.loadAxisValues.map(Math.round);
 
 // Display master table
-console.log('RPM\\Load    Low         Medium      High');
-console.log('-'.repeat(50));
-const rpmLabels = ['Low', 'Medium', 'High'];
-for (let i = 0; i < 3; i++) {
-  let line = rpmLabels[i].padEnd(11);
-  for (let j = 0; j < 3; j++) {
+let masterHeader = 'RPM\\Load'.padEnd(11);
+for (let j = 0; j < loadBuckets; j++) {
+  masterHeader += String(loadAxis[j]).padEnd(12);
+}
+console.log(masterHeader);
+console.log('-'.repeat(11 + 12 * loadBuckets));
+for (let i = 0; i < rpmBuckets; i++) {
+  let line = String(rpmAxis[i]).padEnd(11);
+  for (let j = 0; j < loadBuckets; j++) {
     if (masterTable[i][j] !== null) {
       line += `${masterTable[i][j].toFixed(1)}ms`.padEnd(12);
     } else {
@@ -214,18 +190,18 @@ for (const result of allResults) {
 
   console.log = originalLog;
 
-  // Test with master table
-  const masterErrors = calculateLambdaErrors(analyzer, masterTable);
+  // Test with master table on the global grid
+  const masterErrors = calculateLambdaErrors(analyzer, masterTable, grid.rpmBoundaries, grid.loadBoundaries);
 
-  // Test with own table
+  // Test with own table on the file's grid
   const ownDelayTable = [];
-  for (let i = 0; i < 3; i++) {
+  for (let i = 0; i < rpmBuckets; i++) {
     ownDelayTable[i] = [];
-    for (let j = 0; j < 3; j++) {
+    for (let j = 0; j < loadBuckets; j++) {
       ownDelayTable[i][j] = result.delayTable[i][j].median;
     }
   }
-  const ownErrors = calculateLambdaErrors(analyzer, ownDelayTable);
+  const ownErrors = calculateLambdaErrors(analyzer, ownDelayTable, analyzer.rpmBoundaries, analyzer.loadBoundaries);
 
   crossValResults.push({
     file: logFile,
@@ -280,39 +256,34 @@ if (Math.abs(avgDiff) < 5) {
   console.log('  Consider analyzing what changed between sessions (temp, altitude, sensor aging, etc.)');
 }
 
-// Helper function to calculate lambda errors
-function calculateLambdaErrors(analyzer, delayTable) {
+// Helper function to calculate lambda errors, looking the delays up on the
+// grid with the given boundaries
+function calculateLambdaErrors(analyzer, delayTable, rpmBoundaries, loadBoundaries) {
   const bucketErrors = {};
+  const { series } = analyzer;
+  const { time, rpm, load, lambda } = analyzer.data;
 
-  for (const point of analyzer.data) {
-    const rpmBucket = analyzer.getBucketIndex(point.rpm, analyzer.rpmBoundaries);
-    const loadBucket = analyzer.getBucketIndex(point.load, analyzer.loadBoundaries);
+  for (let k = 0; k < analyzer.data.length; k++) {
+    if (analyzer.fuelCut[k]) continue; // DFCO samples kept for the DFCO events
+    const rpmBucket = analyzer.getBucketIndex(rpm[k], rpmBoundaries);
+    const loadBucket = analyzer.getBucketIndex(load[k], loadBoundaries);
 
     if (rpmBucket === -1 || loadBucket === -1) continue;
 
     const estimatedDelay = delayTable[rpmBucket][loadBucket];
     if (estimatedDelay === null) continue;
 
-    const targetTime = point.time - (estimatedDelay / 1000);
-
-    // Find closest historical point
-    let closestIdx = -1;
-    let minTimeDiff = Infinity;
+    const targetTime = time[k] - (estimatedDelay / 1000);
 
-    for (let i = 0; i < analyzer.data.length; i++) {
-      const timeDiff = Math.abs(analyzer.data[i].time - targetTime);
-      if (timeDiff < minTimeDiff) {
-        minTimeDiff = timeDiff;
-        closestIdx = i;
-      }
-    }
+    // Find closest historical point within half a second, in the same segment
+    const closestIdx = series.nearestIndex(targetTime, 0.5, series.segmentOf(k));
 
-    if (closestIdx !== -1 && minTimeDiff < 0.5) {
+    if (closestIdx !== -1) {
       const bucketKey = `${rpmBucket},${loadBucket}`;
       if (!bucketErrors[bucketKey]) {
         bucketErrors[bucketKey] = [];
       }
-      bucketErrors[bucketKey].push(point.lambda);
+      bucketErrors[bucketKey].push(lambda[k]);
     }
   }
 
@@ -4,6 +4,8 @@ const { Worker } = require('worker_threads');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { isLogFile } = require('./log_reader.js');
+const { buildGlobalGrid, globalTable, combineTables, buildMasterTable } = require('./global_grid.js');
 
 // Use recommended thresholds for best coverage
 const config = {
@@ -15,12 +17,17 @@ const config = {
   BUCKET_COUNT: 3
 };
 
+// Grid dimensions follow the config (percentile counts or fixed breakpoints)
+const LambdaDelayAnalyzer = require('./analyze_lambda_delay.js');
+const { rows: rpmBuckets, cols: loadBuckets } = LambdaDelayAnalyzer.gridSize(config);
+const totalBuckets = rpmBuckets * loadBuckets;
+
 console.log('Meta-Analysis (Parallel): Analyzing all log files from the same car\n');
 console.log('='.repeat(100));
 
-// Find all .msl files
+// Find all log files (.msl text or .mlg binary)
 const logFiles = fs.readdirSync('example')
-  .filter(f => f.endsWith('.msl'))
+  .filter(isLogFile)
   .map(f => path.join('example', f))
   .sort();
 
@@ -32,6 +39,7 @@ console.log(`Using ${numCPUs} CPU cores for parallel processing\n`);
 const workerCode = `
 const { parentPort, workerData } = require('worker_threads');
 const LambdaDelayAnalyzer = require('./analyze_lambda_delay.js');
+const { fileGridData } = require('./global_grid.js');
 
 const { logFile, config } = workerData;
 
@@ -49,16 +57,17 @@ try {
 
   console.log = originalLog;
 
-  // Extract delay table
+  // Extract the delay table on the file's own grid
   const delayTable = [];
   let totalMeasurements = 0;
   let bucketsWithData = 0;
 
-  for (let i = 0; i < 3; i++) {
+  for (let i = 0; i < analyzer.rpmBucketCount; i++) {
     delayTable[i] = [];
-    for (let j = 0; j < 3; j++) {
-      const delays = analyzer.buckets[i][j].delays;
-      const median = delays.length > 0 ? analyzer.median(delays) : null;
+    for (let j = 0; j < analyzer.loadBucketCount; j++) {
+      const bucket = analyzer.buckets[i][j];
+      const delays = bucket.delays;
+      const median = delays.length > 0 ? analyzer.stepDelay(bucket) : null;
       delayTable[i][j] = {
         median: median !== null ? Math.round(median * 10) / 10 : null,
         count: delays.length
@@ -68,7 +77,8 @@ try {
     }
   }
 
-  // Send results back
+  // Send results back, with the measurements and distribution sketches the
+  // master table is built from on the global grid (see global_grid.js)
   parentPort.postMessage({
     success: true,
     file: logFile,
@@ -77,8 +87,10 @@ try {
     bucketsWithData: bucketsWithData,
     rpmBoundaries: analyzer.rpmBoundaries,
     loadBoundaries: analyzer.loadBoundaries,
+    rpmAxis: analyzer.rpmAxisValues,
+    loadAxis: analyzer.loadAxisValues,
     delayTable: delayTable,
-    data: analyzer.data // Need this for cross-validation
+    ...fileGridData(analyzer)
   });
 
 } catch (error) {
@@ -124,7 +136,7 @@ async function processFilesInParallel() {
           console.log(`✓ [${completed}/${logFiles.length}] ${basename.padEnd(30)} ` +
                       `${result.dataPoints.toString().padStart(6)} points, ` +
                       `${result.totalMeasurements.toString().padStart(4)} measurements, ` +
-                      `${result.bucketsWithData}/9 buckets`);
+                      `${result.bucketsWithData}/${totalBuckets} buckets`);
         } else {
           console.log(`✗ [${completed}/${logFiles.length}] ${basename.padEnd(30)} ERROR: ${result.error}`);
         }
@@ -164,52 +176,26 @@ processFilesInParallel()
     console.log('\n' + '='.repeat(100));
     console.log('\nCross-File Delay Value Analysis\n');
 
-    // For each bucket, collect all delay values across files
-    const bucketStats = {};
+    // Each file's grid has its own percentile boundaries, so the master
+    // table is built on one grid for all files, with every file's
+    // measurements re-binned onto it (see global_grid.js)
+    const grid = buildGlobalGrid(config, allResults);
 
-    for (let i = 0; i < 3; i++) {
-      for (let j = 0; j < 3; j++) {
-        const bucketKey = `[${i},${j}]`;
-        const values = [];
-
-        for (const result of allResults) {
-          const median = result.delayTable[i][j].median;
-          if (median !== null) {
-            values.push(median);
-          }
-        }
+    console.log(`Global RPM boundaries: ${grid.rpmBoundaries.map(r => r.toFixed(0)).join(', ')}`);
+    console.log(`Global load boundaries: ${grid.loadBoundaries.map(l => l.toFixed(1)).join(', ')}\n`);
 
-        if (values.length > 1) {
-          const mean = values.reduce((a, b) => a + b, 0) / values.length;
-          const variance = values.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / values.length;
-          const stdDev = Math.sqrt(variance);
-          const cv = (stdDev / mean) * 100;
-          const min = Math.min(...values);
-          const max = Math.max(...values);
-          const range = max - min;
-
-          bucketStats[bucketKey] = {
-            rpm: i,
-            load: j,
-            filesWithData: values.length,
-            values: values,
-            mean: mean,
-            stdDev: stdDev,
-            cv: cv,
-            min: min,
-            max: max,
-            range: range
-          };
-        }
-      }
-    }
+    const bucketStats = combineTables(grid, allResults.map(result => globalTable(grid, result.measurements)));
 
     // Display bucket statistics
-    console.log('Delay Value Consistency Across Log Files:\n');
-    console.log('Bucket      Files  Mean(ms)  StdDev   CV%    Min     Max     Range   Assessment');
+    console.log('Delay Value Consistency Across Log Files (means weighted by measurement count):\n');
+    console.log('Bucket      Files  Events  Mean(ms)  StdDev   CV%    Min     Max     Range   Assessment');
     console.log('-'.repeat(100));
 
-    const sortedBuckets = Object.entries(bucketStats).sort((a, b) => a[1].cv - b[1].cv);
+    // Consistency needs at least two files; single-file cells still go into
+    // the master table
+    const sortedBuckets = Object.entries(bucketStats)
+      .filter(([, stats]) => stats.filesWithData > 1)
+      .sort((a, b) => a[1].cv - b[1].cv);
 
     for (const [bucket, stats] of sortedBuckets) {
       let assessment;
@@ -219,6 +205,7 @@ processFilesInParallel()
       else assessment = 'VARIABLE';
 
       console.log(`${bucket.padEnd(11)} ${stats.filesWithData.toString().padStart(5)}  ` +
+                  `${stats.measurements.toString().padStart(6)}  ` +
                   `${stats.mean.toFixed(1).padStart(7)}  ` +
                   `${stats.stdDev.toFixed(1).padStart(6)}  ` +
                   `${stats.cv.toFixed(1).padStart(5)}  ` +
@@ -227,7 +214,7 @@ processFilesInParallel()
                   `${stats.range.toFixed(1).padStart(6)}  ${assessment}`);
     }
 
-    const avgCV = Object.values(bucketStats).reduce((a, b) => a + b.cv, 0) / Object.keys(bucketStats).length;
+    const avgCV = sortedBuckets.reduce((a, [, stats]) => a + stats.cv, 0) / sortedBuckets.length;
     console.log('\n' + '-'.repeat(100));
     console.log(`Average CV across all buckets: ${avgCV.toFixed(1)}%`);
 
@@ -241,52 +228,23 @@ processFilesInParallel()
 
     // Calculate a "master" delay table from all files
     console.log('\n' + '='.repeat(100));
-    console.log('\nMaster Delay Table (Aggregate from all files):\n');
-
-    const masterTable = [];
-    for (let i = 0; i < 3; i++) {
-      masterTable[i] = [];
-      for (let j = 0; j < 3; j++) {
-        const bucketKey = `[${i},${j}]`;
-        if (bucketStats[bucketKey]) {
-          masterTable[i][j] = Math.round(bucketStats[bucketKey].mean * 10) / 10;
-        } else {
-          masterTable[i][j] = null;
-        }
-      }
-    }
+    console.log('\nMaster Delay Table (Aggregate from all files, on the global grid):\n');
 
-    // Calculate average RPM and Load axis values across all files
-    const rpmAxisValues = [[], [], []];
-    const loadAxisValues = [[], [], []];
-
-    for (const result of allResults) {
-      if (result.rpmBoundaries && result.loadBoundaries) {
-        for (let i = 0; i < 3; i++) {
-          const rpmMid = (result.rpmBoundaries[i] + result.rpmBoundaries[i + 1]) / 2;
-          const loadMid = (result.loadBoundaries[i] + result.loadBoundaries[i + 1]) / 2;
-          rpmAxisValues[i].push(rpmMid);
-          loadAxisValues[i].push(loadMid);
-        }
-      }
-    }
+    const masterTable = buildMasterTable(grid, bucketStats);
 
-    const rpmAxis = [];
-    const loadAxis = [];
-    for (let i = 0; i < 3; i++) {
-      const avgRpm = rpmAxisValues[i].reduce((a, b) => a + b, 0) / rpmAxisValues[i].length;
-      const avgLoad = loadAxisValues[i].reduce((a, b) => a + b, 0) / loadAxisValues[i].length;
-      rpmAxis.push(Math.round(avgRpm));
-      loadAxis.push(Math.round(avgLoad));
-    }
+    const rpmAxis = grid.rpmAxisValues.map(Math.round);
+    const loadAxis = grid.loadAxisValues.map(Math.round);
 
     // Display master table (human readable)
-    console.log('RPM\\Load    Low         Medium      High');
-    console.log('-'.repeat(50));
-    const rpmLabels = ['Low', 'Medium', 'High'];
-    for (let i = 0; i < 3; i++) {
-      let line = rpmLabels[i].padEnd(11);
-      for (let j = 0; j < 3; j++) {
+    let masterHeader = 'RPM\\Load'.padEnd(11);
+    for (let j = 0; j < loadBuckets; j++) {
+      masterHeader += String(loadAxis[j]).padEnd(12);
+    }
+    console.log(masterHeader);
+    console.log('-'.repeat(11 + 12 * loadBuckets));
+    for (let i = 0; i < rpmBuckets; i++) {
+      let line = String(rpmAxis[i]).padEnd(11);
+      for (let j = 0; j < loadBuckets; j++) {
         if (masterTable[i][j] !== null) {
           line += `${masterTable[i][j].toFixed(1)}ms`.padEnd(12);
         } else {
@@ -301,13 +259,13 @@ processFilesInParallel()
     console.log('\nCode Format (ready to use):\n');
 
     console.log('const defaultLambdaDelayTable = [');
-    for (let i = 0; i < 3; i++) {
+    for (let i = 0; i < rpmBuckets; i++) {
       const row = [];
-      for (let j = 0; j < 3; j++) {
+      for (let j = 0; j < loadBuckets; j++) {
         row.push(masterTable[i][j] !== null ? Math.round(masterTable[i][j]) : 0);
       }
       const rowStr = '    [' + row.join(', ') + ']';
-      console.log(rowStr + (i < 2 ? ',' : ''));
+      console.log(rowStr + (i < rpmBuckets - 1 ? ',' : ''));
     }
     console.log('];');
     console.log('');
@@ -319,7 +277,11 @@ processFilesInParallel()
     console.log('\nCross-Validation: Testing master table prediction accuracy');
     console.log('(Processing in parallel...)\n');
 
-    return crossValidateParallel(allResults, masterTable);
+    return crossValidateParallel(allResults, {
+      table: masterTable,
+      rpmBoundaries: grid.rpmBoundaries,
+      loadBoundaries: grid.loadBoundaries
+    });
   })
   .then(crossValResults => {
     // Display cross-validation results
@@ -374,7 +336,7 @@ processFilesInParallel()
   .then(({ crossValResults, avgMasterError, avgOwnError, avgDiff }) => {
     // Calculate avgCV from bucketStats (need to recalculate in this scope)
     const logFiles = fs.readdirSync('example')
-      .filter(f => f.endsWith('.msl'))
+      .filter(isLogFile)
       .map(f => path.join('example', f));
 
     console.log('\n' + '='.repeat(100));
@@ -392,12 +354,12 @@ processFilesInParallel()
   });
 
 // Cross-validation in parallel
-async function crossValidateParallel(allResults, masterTable) {
+async function crossValidateParallel(allResults, master) {
   const crossValWorkerCode = `
 const { parentPort, workerData } = require('worker_threads');
 const LambdaDelayAnalyzer = require('./analyze_lambda_delay.js');
 
-const { result, masterTable, config } = workerData;
+const { result, master, config } = workerData;
 
 const analyzer = new LambdaDelayAnalyzer(result.file, config);
 
@@ -410,79 +372,54 @@ analyzer.assignToBuckets();
 
 console.log = originalLog;
 
-// Calculate errors for both tables
-const masterErrors = calculateLambdaErrors(analyzer, masterTable);
+// Calculate errors for both tables, each looked up on its own grid
+const masterErrors = calculateLambdaErrors(analyzer, master.table, master.rpmBoundaries, master.loadBoundaries);
 
 const ownDelayTable = [];
-for (let i = 0; i < 3; i++) {
+for (let i = 0; i < analyzer.rpmBucketCount; i++) {
   ownDelayTable[i] = [];
-  for (let j = 0; j < 3; j++) {
+  for (let j = 0; j < analyzer.loadBucketCount; j++) {
     ownDelayTable[i][j] = result.delayTable[i][j].median;
   }
 }
-const ownErrors = calculateLambdaErrors(analyzer, ownDelayTable);
+const ownErrors = calculateLambdaErrors(analyzer, ownDelayTable, analyzer.rpmBoundaries, analyzer.loadBoundaries);
+
+// Only the summary goes back; the per-sample lambda lists stay in the worker
+const summary = errors => ({ avgStdDev: errors.avgStdDev, bucketsAnalyzed: errors.bucketsAnalyzed });
 
 parentPort.postMessage({
   file: result.file,
-  masterError: masterErrors,
-  ownError: ownErrors
+  masterError: summary(masterErrors),
+  ownError: summary(ownErrors)
 });
 
-function calculateLambdaErrors(analyzer, delayTable) {
+function calculateLambdaErrors(analyzer, delayTable, rpmBoundaries, loadBoundaries) {
   const bucketErrors = {};
 
-  // Sort data by time once (data is already sorted from parseFile)
-  // Build a time index for fast lookups using binary search
-  const times = analyzer.data.map(d => d.time);
-
-  // Binary search helper
-  function findClosestIndex(targetTime) {
-    let left = 0;
-    let right = times.length - 1;
-    let closest = 0;
-    let minDiff = Infinity;
-
-    while (left <= right) {
-      const mid = Math.floor((left + right) / 2);
-      const diff = Math.abs(times[mid] - targetTime);
-
-      if (diff < minDiff) {
-        minDiff = diff;
-        closest = mid;
-      }
-
-      if (times[mid] < targetTime) {
-        left = mid + 1;
-      } else if (times[mid] > targetTime) {
-        right = mid - 1;
-      } else {
-        return mid;
-      }
-    }
-
-    return minDiff < 0.5 ? closest : -1;
-  }
+  const { series } = analyzer;
+  const { time, rpm, load, lambda } = analyzer.data;
 
   // Process all data points
   for (let idx = 0; idx < analyzer.data.length; idx++) {
-    const point = analyzer.data[idx];
-    const rpmBucket = analyzer.getBucketIndex(point.rpm, analyzer.rpmBoundaries);
-    const loadBucket = analyzer.getBucketIndex(point.load, analyzer.loadBoundaries);
+    if (analyzer.fuelCut[idx]) continue; // DFCO samples kept for the DFCO events
+    const rpmBucket = analyzer.getBucketIndex(rpm[idx], rpmBoundaries);
+    const loadBucket = analyzer.getBucketIndex(load[idx], loadBoundaries);
 
     if (rpmBucket === -1 || loadBucket === -1) continue;
 
     const estimatedDelay = delayTable[rpmBucket][loadBucket];
     if (estimatedDelay === null) continue;
 
-    const targetTime = point.time - (estimatedDelay / 1000);
-    const closestIdx = findClosestIndex(targetTime);
+    // Closest historical sample within half a second, in the same segment
+    const targetTime = time[idx] - (estimatedDelay / 1000);
+    const closestIdx = series.nearestIndex(targetTime, 0.5, series.segmentOf(idx));
 
     if (closestIdx !== -1) {
       const bucketKey = \`\${rpmBucket},\${loadBucket}\`;
       if (!bucketErrors[bucketKey]) {
         bucketErrors[bucketKey] = [];
       }
-      bucketErrors[bucketKey].push(point.lambda);
+      bucketErrors[bucketKey].push(lambda[idx]);
     }
   }
 
@@ -515,10 +452,10 @@ function calculateLambdaErrors(analyzer, delayTable) {
     function startWorker() {
       if (fileIndex >= allResults.length) return;
 
-      const result = allResults[fileIndex++];
+      const { file, delayTable } = allResults[fileIndex++];
 
       const worker = new Worker(crossValWorkerFile, {
-        workerData: { result, masterTable, config }
+        workerData: { result: { file, delayTable }, master, config }
       });
 
       worker.on('message', (cvResult) => {
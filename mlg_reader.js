@@ -0,0 +1,221 @@
+const fs = require('fs');
+
+// Reader for binary MegaLogViewer logs (.mlg, "MLVLG" format versions 1 and 2).
+//
+// Layout (all values big-endian):
+//   Header   "MLVLG\0", format version, timestamp, info data start,
+//            data begin index, record length, number of fields
+//   Fields   one definition per logged value: type, name, units, display
+//            style, scale, transform, digits (+ category in version 2)
+//   Info     null-terminated text (capture date and similar notes)
+//   Blocks   type 0 = data: counter, timestamp, record, CRC
+//            type 1 = marker: counter, timestamp, 50-byte message
+//
+// Each field's value is (raw + transform) * scale.
+
+const MAGIC = 'MLVLG';
+const CHUNK_SIZE = 64 * 1024;
+const MARKER_LENGTH = 50;
+const BLOCK_HEADER_LENGTH = 4;   // type, counter, 16-bit timestamp
+const TIMESTAMP_RESOLUTION = 1e-5; // Block timestamps count 10 µs ticks
+
+const FIELD_TYPES = {
+  0: { size: 1, read: (b, o) => b.readUInt8(o) },
+  1: { size: 1, read: (b, o) => b.readInt8(o) },
+  2: { size: 2, read: (b, o) => b.readUInt16BE(o) },
+  3: { size: 2, read: (b, o) => b.readInt16BE(o) },
+  4: { size: 4, read: (b, o) => b.readUInt32BE(o) },
+  5: { size: 4, read: (b, o) => b.readInt32BE(o) },
+  6: { size: 8, read: (b, o) => Number(b.readBigInt64BE(o)) },
+  7: { size: 4, read: (b, o) => b.readFloatBE(o) },
+  // Version 2 bit fields carry raw flags, so scale/transform do not apply
+  10: { size: 1, read: (b, o) => b.readUInt8(o), bits: true },
+  11: { size: 2, read: (b, o) => b.readUInt16BE(o), bits: true },
+  12: { size: 4, read: (b, o) => b.readUInt32BE(o), bits: true }
+};
+
+// True if the file starts with the MLVLG signature, whatever its extension
+function isMlgFile(filename) {
+  const fd = fs.openSync(filename, 'r');
+  try {
+    const buffer = Buffer.alloc(MAGIC.length);
+    const bytes = fs.readSync(fd, buffer, 0, MAGIC.length, 0);
+    return bytes === MAGIC.length && buffer.toString('latin1') === MAGIC;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Null-terminated, fixed-width ASCII string
+function readString(buffer, offset, length) {
+  const raw = buffer.toString('latin1', offset, offset + length);
+  const end = raw.indexOf('\0');
+  return (end === -1 ? raw : raw.slice(0, end)).trim();
+}
+
+// Decode the file header, field definitions and info text
+function readMlgHeader(buffer) {
+  if (buffer.toString('latin1', 0, MAGIC.length) !== MAGIC) {
+    throw new Error('Not an MLVLG log');
+  }
+
+  const version = buffer.readUInt16BE(6);
+  if (version !== 1 && version !== 2) {
+    throw new Error(`Unsupported MLVLG format version: ${version}`);
+  }
+
+  const timestamp = buffer.readUInt32BE(8);
+  let offset = 12;
+  let infoDataStart;
+  if (version === 1) {
+    infoDataStart = buffer.readUInt16BE(offset);
+    offset += 2;
+  } else {
+    infoDataStart = buffer.readUInt32BE(offset);
+    offset += 4;
+  }
+  const dataBeginIndex = buffer.readUInt32BE(offset);
+  const recordLength = buffer.readUInt16BE(offset + 4);
+  const fieldCount = buffer.readUInt16BE(offset + 6);
+  offset += 8;
+
+  const fieldSize = version === 1 ? 55 : 89;
+  const fields = [];
+  let recordOffset = 0;
+  for (let k = 0; k < fieldCount; k++) {
+    const base = offset + k * fieldSize;
+    const typeCode = buffer.readUInt8(base);
+    const type = FIELD_TYPES[typeCode];
+    if (!type) {
+      throw new Error(`Unknown MLVLG field type ${typeCode}`);
+    }
+
+    fields.push({
+      name: readString(buffer, base + 1, 34),
+      units: readString(buffer, base + 35, 10),
+      scale: buffer.readFloatBE(base + 46),
+      transform: buffer.readFloatBE(base + 50),
+      digits: buffer.readInt8(base + 54),
+      type: type,
+      offset: recordOffset
+    });
+    recordOffset += type.size;
+  }
+
+  if (recordOffset !== recordLength) {
+    throw new Error(`MLVLG record length ${recordLength} does not match field sizes (${recordOffset})`);
+  }
+
+  const info = infoDataStart > 0 && infoDataStart < dataBeginIndex
+    ? readString(buffer, infoDataStart, dataBeginIndex - infoDataStart)
+    : '';
+
+  return { version, timestamp, dataBeginIndex, recordLength, fields, info };
+}
+
+// The header and field table sit before dataBeginIndex, so only that part
+// of the file is read
+function readHeaderFromFd(fd) {
+  const probe = Buffer.alloc(24);
+  fs.readSync(fd, probe, 0, probe.length, 0);
+  if (probe.toString('latin1', 0, MAGIC.length) !== MAGIC) {
+    throw new Error('Not an MLVLG log');
+  }
+  const version = probe.readUInt16BE(6);
+  const dataBeginIndex = probe.readUInt32BE(version === 1 ? 14 : 16);
+  const headBuffer = Buffer.alloc(dataBeginIndex);
+  fs.readSync(fd, headBuffer, 0, dataBeginIndex, 0);
+  return readMlgHeader(headBuffer);
+}
+
+// Header, field definitions and info text of an .mlg file
+function readMlgFileHeader(filename) {
+  const fd = fs.openSync(filename, 'r');
+  try {
+    return readHeaderFromFd(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Stream the data blocks of an .mlg log. `onHeader(headers, preamble)` is
+// called once with the field names, then `onRecord(values)` for each data
+// block with the scaled field values in header order. Logs without a `Time`
+// field get one built from the block timestamps.
+function forEachMlgRecord(filename, onHeader, onRecord) {
+  const fd = fs.openSync(filename, 'r');
+
+  try {
+    const header = readHeaderFromFd(fd);
+    const dataBeginIndex = header.dataBeginIndex;
+
+    const names = header.fields.map(f => f.name);
+    const timeIndex = names.indexOf('Time');
+    const synthesiseTime = timeIndex === -1;
+    const headers = synthesiseTime ? [...names, 'Time'] : names;
+    const preamble = header.info.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    onHeader(headers, preamble, header);
+
+    const values = new Array(headers.length);
+    const dataBlockLength = BLOCK_HEADER_LENGTH + header.recordLength + 1;
+    let ticks = 0;
+    let lastStamp = null;
+
+    let pending = Buffer.alloc(0);
+    let position = dataBeginIndex;
+    const chunk = Buffer.alloc(CHUNK_SIZE);
+    let bytes;
+
+    while ((bytes = fs.readSync(fd, chunk, 0, CHUNK_SIZE, position)) > 0) {
+      position += bytes;
+      pending = pending.length > 0
+        ? Buffer.concat([pending, chunk.subarray(0, bytes)])
+        : Buffer.from(chunk.subarray(0, bytes));
+
+      let offset = 0;
+      while (offset < pending.length) {
+        const blockType = pending.readUInt8(offset);
+        const blockLength = blockType === 0
+          ? dataBlockLength
+          : BLOCK_HEADER_LENGTH + MARKER_LENGTH;
+        if (blockType !== 0 && blockType !== 1) {
+          throw new Error(`Corrupt MLVLG data block at byte ${position - pending.length + offset}`);
+        }
+        if (offset + blockLength > pending.length) break;
+
+        // 16-bit timestamp wraps every 655 ms, so accumulate the deltas
+        const stamp = pending.readUInt16BE(offset + 2);
+        if (lastStamp !== null) ticks += (stamp - lastStamp + 0x10000) % 0x10000;
+        lastStamp = stamp;
+
+        if (blockType === 0) {
+          const record = offset + BLOCK_HEADER_LENGTH;
+          let crc = 0;
+          for (let k = 0; k < header.recordLength; k++) crc = (crc + pending[record + k]) & 0xff;
+
+          // Blocks with a bad checksum are skipped rather than misread
+          if (crc === pending[record + header.recordLength]) {
+            header.fields.forEach((field, k) => {
+              const raw = field.type.read(pending, record + field.offset);
+              values[k] = field.type.bits ? raw : (raw + field.transform) * field.scale;
+            });
+            if (synthesiseTime) values[names.length] = ticks * TIMESTAMP_RESOLUTION;
+            onRecord(values);
+          }
+        }
+
+        offset += blockLength;
+      }
+      pending = pending.subarray(offset);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+module.exports = {
+  isMlgFile,
+  readMlgHeader,
+  readMlgFileHeader,
+  forEachMlgRecord
+};
@@ -0,0 +1,230 @@
+// Filters for conditioning logged signals before event detection, and a
+// noise floor estimate for setting thresholds relative to the noise.
+//
+// All filters take and return arrays of evenly spaced samples and are
+// zero-phase, so they smooth a step without moving it in time. Window edges
+// are handled by mirroring the signal around its first and last samples.
+// NaN samples (a column missing from some rows) are gaps: applyFilters()
+// leaves them NaN and filters each run of numbers between them separately,
+// so a gap neither spreads nor drags its neighbours.
+//
+// A filter chain is a list of stages applied in order:
+//   { type: 'median', window: 5 }                  - running median, removes spikes
+//   { type: 'movingAverage', window: 5 }           - centred running mean
+//   { type: 'savitzkyGolay', window: 7, order: 2 } - local polynomial fit, keeps edges sharper
+//   { type: 'lowpass', cutoffHz: 5 }               - 2nd-order Butterworth run forwards and backwards
+// Windows are in samples and must be odd.
+
+// Sample at index k, mirrored at the ends of the signal
+function mirrored(values, k) {
+  const n = values.length;
+  if (n === 1) return values[0];
+  while (k < 0 || k >= n) {
+    k = k < 0 ? -k : 2 * (n - 1) - k;
+  }
+  return values[k];
+}
+
+function checkWindow(window) {
+  if (!Number.isInteger(window) || window < 1 || window % 2 === 0) {
+    throw new Error(`Filter window must be an odd number of samples, got ${window}`);
+  }
+  return (window - 1) / 2;
+}
+
+function medianFilter(values, window) {
+  const half = checkWindow(window);
+  const out = new Float64Array(values.length);
+  const buffer = new Array(window);
+  for (let k = 0; k < values.length; k++) {
+    for (let m = -half; m <= half; m++) buffer[m + half] = mirrored(values, k + m);
+    buffer.sort((a, b) => a - b);
+    out[k] = buffer[half];
+  }
+  return out;
+}
+
+function movingAverage(values, window) {
+  const half = checkWindow(window);
+  const coefficients = new Array(window).fill(1 / window);
+  return convolve(values, coefficients, half);
+}
+
+// Smoothing coefficients of a Savitzky-Golay filter: the value at the centre
+// of a least-squares polynomial fit over the window
+function savitzkyGolayCoefficients(window, order) {
+  const half = checkWindow(window);
+  if (!Number.isInteger(order) || order < 0 || order >= window) {
+    throw new Error(`Savitzky-Golay order must be below the window length, got ${order}`);
+  }
+
+  // Normal equations (A^T A) c = e0 for A[i][p] = z_i^p, z = -half..half;
+  // the filter coefficients are then A c
+  const size = order + 1;
+  const matrix = Array.from({ length: size }, (_, p) =>
+    Array.from({ length: size }, (_, q) => {
+      let sum = 0;
+      for (let z = -half; z <= half; z++) sum += Math.pow(z, p + q);
+      return sum;
+    }));
+  const rhs = Array.from({ length: size }, (_, p) => (p === 0 ? 1 : 0));
+  const c = solveLinear(matrix, rhs);
+
+  const coefficients = [];
+  for (let z = -half; z <= half; z++) {
+    let sum = 0;
+    for (let p = 0; p < size; p++) sum += c[p] * Math.pow(z, p);
+    coefficients.push(sum);
+  }
+  return coefficients;
+}
+
+function savitzkyGolay(values, window, order = 2) {
+  return convolve(values, savitzkyGolayCoefficients(window, order), checkWindow(window));
+}
+
+// Gaussian elimination with partial pivoting
+function solveLinear(matrix, rhs) {
+  const n = rhs.length;
+  const a = matrix.map((row, i) => [...row, rhs[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+    }
+  }
+  const x = new Array(n);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = a[row][n];
+    for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+    x[row] = sum / a[row][row];
+  }
+  return x;
+}
+
+function convolve(values, coefficients, half) {
+  const out = new Float64Array(values.length);
+  for (let k = 0; k < values.length; k++) {
+    let sum = 0;
+    for (let m = -half; m <= half; m++) sum += coefficients[m + half] * mirrored(values, k + m);
+    out[k] = sum;
+  }
+  return out;
+}
+
+// 2nd-order Butterworth low-pass (bilinear transform) applied forwards and
+// then backwards, which cancels its phase lag
+function zeroPhaseLowPass(values, cutoffHz, sampleRateHz) {
+  if (!(cutoffHz > 0) || !(sampleRateHz > 0)) {
+    throw new Error('Low-pass filter needs a positive cutoff and sample rate');
+  }
+  if (cutoffHz >= sampleRateHz / 2) {
+    throw new Error(`Low-pass cutoff ${cutoffHz} Hz must be below the Nyquist frequency (${sampleRateHz / 2} Hz)`);
+  }
+
+  const k = Math.tan(Math.PI * cutoffHz / sampleRateHz);
+  const norm = 1 / (1 + Math.SQRT2 * k + k * k);
+  const b0 = k * k * norm;
+  const b1 = 2 * b0;
+  const b2 = b0;
+  const a1 = 2 * (k * k - 1) * norm;
+  const a2 = (1 - Math.SQRT2 * k + k * k) * norm;
+
+  // Start from a steady state at the first sample so the output does not
+  // ramp up from zero
+  const pass = input => {
+    const output = new Float64Array(input.length);
+    if (input.length === 0) return output;
+    let [x1, x2, y1, y2] = [input[0], input[0], input[0], input[0]];
+    for (let n = 0; n < input.length; n++) {
+      const y = b0 * input[n] + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+      [x2, x1, y2, y1] = [x1, input[n], y1, y];
+      output[n] = y;
+    }
+    return output;
+  };
+
+  return pass(pass(values).reverse()).reverse();
+}
+
+// Run a filter chain over a signal. The low-pass stage needs the sample rate.
+function applyFilters(values, chain, sampleRateHz) {
+  const out = Float64Array.from(values);
+  let runStart = 0;
+  for (let k = 0; k <= out.length; k++) {
+    if (k < out.length && !isNaN(out[k])) continue;
+    if (k > runStart) out.set(filterRun(out.subarray(runStart, k), chain, sampleRateHz), runStart);
+    runStart = k + 1;
+  }
+  return out;
+}
+
+function filterRun(values, chain, sampleRateHz) {
+  let out = Float64Array.from(values);
+  for (const stage of chain || []) {
+    switch (stage.type) {
+      case 'median':
+        out = medianFilter(out, stage.window);
+        break;
+      case 'movingAverage':
+        out = movingAverage(out, stage.window);
+        break;
+      case 'savitzkyGolay':
+        out = savitzkyGolay(out, stage.window, stage.order);
+        break;
+      case 'lowpass':
+        out = zeroPhaseLowPass(out, stage.cutoffHz, sampleRateHz);
+        break;
+      default:
+        throw new Error(`Unknown filter type: ${stage.type}`);
+    }
+  }
+  return out;
+}
+
+// Robust standard deviation (1.4826 x median absolute deviation). Falls back
+// to the mean absolute deviation when more than half the values are equal,
+// as with coarsely quantised signals.
+function robustSpread(values) {
+  if (values.length === 0) return 0;
+  const middle = median(values);
+  const deviations = values.map(v => Math.abs(v - middle));
+  const mad = 1.4826 * median(deviations);
+  return mad > 0 ? mad : deviations.reduce((a, b) => a + b, 0) / deviations.length;
+}
+
+// Noise floor of a signal: the robust spread of its sample-to-sample
+// changes, the same quantity the change thresholds are compared against.
+// Samples flagged in `skip` (and changes touching them) are left out, and
+// with a TimeSeries so are changes between two of its segments.
+function changeNoise(values, skip = null, series = null) {
+  const changes = [];
+  for (let k = 1; k < values.length; k++) {
+    if (skip && (skip[k] || skip[k - 1])) continue;
+    if (series && !series.sameSegment(k - 1, k)) continue;
+    changes.push(values[k] - values[k - 1]);
+  }
+  return robustSpread(changes);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+module.exports = {
+  applyFilters,
+  changeNoise,
+  medianFilter,
+  movingAverage,
+  robustSpread,
+  savitzkyGolay,
+  savitzkyGolayCoefficients,
+  zeroPhaseLowPass
+};
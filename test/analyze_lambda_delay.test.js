@@ -0,0 +1,491 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LambdaDelayAnalyzer = require('../analyze_lambda_delay.js');
+const { robustSpread } = require('../signal_filters.js');
+const { synthesize, writeMsl, writeCsv } = require('./fixtures/synthetic_log.js');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'analyzer-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Run analyzer steps without their console output
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+function writeLog(name, rows, options) {
+  const file = path.join(dir, name);
+  writeMsl(file, rows, options);
+  return file;
+}
+
+const close = (actual, expected, tolerance = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} vs ${expected}`);
+
+// Write a log and run the analyzer up to the cell delays, on one cell
+// unless the config says otherwise
+function analyze(name, rows, config = {}) {
+  const analyzer = new LambdaDelayAnalyzer(writeLog(name, rows), { RPM_BUCKETS: 1, LOAD_BUCKETS: 1, ...config });
+  quietly(() => {
+    analyzer.parseFile();
+    analyzer.calculateBucketBoundaries();
+    analyzer.assignToBuckets();
+    analyzer.calculateDelays();
+  });
+  return analyzer;
+}
+
+// Delay as a function of the step number n (one step every 2 s), so one log
+// can hold several known delays. Lambda has settled before each step, so the
+// change of delay there does not disturb the previous response.
+const perStep = delays => t => delays(Math.floor(t / 2));
+
+test('pooled logs from different ECUs are each read with their own profile', () => {
+  const speeduino = writeLog('speeduino.msl', synthesize({ seconds: 10 }));
+  const rusefi = path.join(dir, 'rusefi.csv');
+  writeCsv(rusefi, synthesize({ seconds: 10 }), {
+    timeSeconds: row => row.Time,
+    RPMValue: row => row.RPM,
+    'Fuel: Injection duration': row => row.PW,
+    'Air/Fuel Ratio': row => (row.Lambda * 14.7).toFixed(3),
+    MAPValue: row => row.MAP
+  });
+
+  const analyzer = new LambdaDelayAnalyzer([speeduino, rusefi]);
+  quietly(() => analyzer.parseFile());
+  assert.strictEqual(analyzer.profile.name, 'speeduino+rusefi');
+  assert.deepStrictEqual(analyzer.sourceFiles.map(s => s.profile), ['speeduino', 'rusefi']);
+  assert.strictEqual(analyzer.columnSources.pw, 'PW | Fuel: Injection duration');
+  assert.strictEqual(analyzer.data.length, 200);
+  for (let k = 0; k < 100; k++) {
+    assert.ok(Math.abs(analyzer.data.lambda[100 + k] - analyzer.data.lambda[k]) < 1e-3);
+    assert.strictEqual(analyzer.data.load[100 + k], analyzer.data.load[k]);
+  }
+});
+
+test('noise floors are measured within segments, not across file starts', () => {
+  const options = [{ lambdaAt: 0.9, pwLow: 3, pwHigh: 3.2 }, { lambdaAt: 1.2, pwLow: 5, pwHigh: 5.4 }];
+  const files = options.map((o, n) => writeLog(`noise${n}.msl`, synthesize({ seconds: 10, ...o })));
+  const analyzer = new LambdaDelayAnalyzer(files);
+  quietly(() => analyzer.parseFile());
+
+  const within = key => options.flatMap(o => {
+    const values = synthesize({ seconds: 10, ...o }).map(row => row[key]);
+    return values.slice(1).map((v, k) => v - values[k]);
+  });
+  assert.ok(Math.abs(analyzer.noise.lambda - robustSpread(within('Lambda'))) < 1e-9);
+  assert.ok(Math.abs(analyzer.noise.stimulus - robustSpread(within('PW'))) < 1e-9);
+});
+
+// Three RPM bands of 60 s each, the delay falling with RPM as the exhaust
+// flow rises
+const bands = [1000, 2000, 3000];
+const bandDelays = [600, 400, 200];
+const bandOf = t => Math.min(Math.floor(t / 60), 2);
+
+function runToModel(file, config, clear) {
+  const analyzer = new LambdaDelayAnalyzer(file, { RPM_BUCKETS: 3, LOAD_BUCKETS: 1, MODEL_MIN_MEASUREMENTS: 2, ...config });
+  quietly(() => {
+    analyzer.parseFile();
+    analyzer.calculateBucketBoundaries();
+    analyzer.assignToBuckets();
+    analyzer.calculateDelays();
+    clear(analyzer.buckets[1][0]);
+    analyzer.fitTransportModel();
+  });
+  return analyzer;
+}
+
+for (const [estimator, clear] of [
+  ['xcorr', bucket => { bucket.xcorr = null; }],
+  ['threshold', bucket => { bucket.delays = []; bucket.events = []; }]
+]) {
+  test(`model-filled cells get revolutions and cycles (${estimator})`, () => {
+    const file = writeLog(`bands-${estimator}.msl`, synthesize({
+      seconds: 180, rpm: t => bands[bandOf(t)], delayMs: t => bandDelays[bandOf(t)]
+    }));
+    const analyzer = runToModel(file, { ESTIMATOR: estimator }, clear);
+    const bucket = analyzer.buckets[1][0];
+    assert.strictEqual(bucket.modelled, true);
+    assert.strictEqual(analyzer.bucketDelay(bucket), null);
+
+    const rpm = analyzer.rpmAxisValues[1];
+    const revolutions = bucket.modelledDelay * rpm / 60000;
+    assert.ok(Math.abs(analyzer.bucketRevolutions(bucket) - revolutions) < 1e-9);
+    assert.ok(Math.abs(analyzer.bucketCycles(bucket) - revolutions / 2) < 1e-9);
+
+    const table = quietly(() => analyzer.generateTable());
+    assert.ok(Math.abs(analyzer.revolutionTable[1].delays[0] - Math.round(revolutions * 100) / 100) < 1e-9);
+    assert.ok(analyzer.cycleTable[1].delays[0] > 0);
+
+    const cwd = process.cwd();
+    const out = fs.mkdtempSync(path.join(dir, 'export-'));
+    process.chdir(out);
+    try {
+      quietly(() => analyzer.exportResults(table));
+    } finally {
+      process.chdir(cwd);
+    }
+    const cell = JSON.parse(fs.readFileSync(path.join(out, 'lambda_delay_table.json'), 'utf-8'))
+      .detailedBuckets.find(b => b.rpmBucket === 1);
+    assert.strictEqual(cell.medianDelay, null);
+    assert.strictEqual(cell.modelled, true);
+    assert.strictEqual(cell.medianRevolutions, Math.round(revolutions * 100) / 100);
+    assert.strictEqual(cell.medianCycles, Math.round(revolutions / 2 * 100) / 100);
+  });
+}
+
+test('threshold events recover the known delay at sample times', () => {
+  const analyzer = analyze('known.msl', synthesize({ delayMs: 300 }));
+  const bucket = analyzer.buckets[0][0];
+  // One event per step after the first sample, in both directions
+  assert.strictEqual(bucket.delays.length, 29);
+  bucket.delays.forEach(delay => close(delay, 300));
+  bucket.events.forEach(event => close(event.delay, event.sampledDelay));
+  assert.deepStrictEqual([...new Set(bucket.events.map(e => e.direction))].sort(), ['lean', 'rich']);
+  close(analyzer.stepDelay(bucket), 300);
+
+  const { timing } = analyzer;
+  assert.strictEqual(timing.interpolation, 'none');
+  assert.strictEqual(timing.sampleIntervalMs, 100);
+  assert.deepStrictEqual(timing.delayErrorMs, { sampled: 29.3, interpolated: null });
+  assert.strictEqual(timing.resolutionGain, null);
+
+  assert.throws(() => analyze('known.msl', synthesize(), { ESTIMATOR: 'peak' }), /Unknown estimator: peak/);
+});
+
+test('linear timing puts the step mid-interval and interpolates the lambda crossing', () => {
+  const analyzer = analyze('linear.msl', synthesize({ delayMs: 300 }), { TIMING_INTERPOLATION: 'linear' });
+  const { time, lambda } = analyzer.data;
+  const events = analyzer.buckets[0][0].events;
+  assert.strictEqual(events.length, 29);
+  for (const event of events) {
+    close(event.stepTime, time[event.stepIndex] - 0.05);
+    close(event.sampledDelay, 300);
+    // Lambda jumps in one sample, so it crosses the threshold a fraction
+    // threshold / jump into the interval before the response sample
+    const j = event.responseIndex;
+    const fraction = 0.05 / Math.abs(lambda[j] - lambda[j - 1]);
+    close(event.delay, 200 + fraction * 100 + 50);
+  }
+
+  const { timing } = analyzer;
+  assert.strictEqual(timing.interpolation, 'linear');
+  assert.deepStrictEqual(timing.stepErrorMs, { sampled: 50, interpolated: 25 });
+  assert.ok(timing.meanAdjustmentMs > 0);
+
+  assert.throws(() => analyze('linear.msl', synthesize(), { TIMING_INTERPOLATION: 'cubic' }),
+    /Unknown timing interpolation: cubic/);
+});
+
+test('cross-correlation finds the known delay', () => {
+  const analyzer = analyze('xcorr.msl', synthesize({ delayMs: 300 }), { ESTIMATOR: 'xcorr' });
+  const bucket = analyzer.buckets[0][0];
+  assert.strictEqual(bucket.xcorr.delay, 300);
+  assert.ok(bucket.xcorr.correlation > 0.99);
+  assert.strictEqual(bucket.xcorr.windows, bucket.delays.length);
+  bucket.delays.forEach(delay => assert.strictEqual(delay, 300));
+  assert.strictEqual(analyzer.stepDelay(bucket), 300);
+
+  // Lambda that does not follow the fuel leaves the cell empty
+  const flat = analyze('flat.msl', synthesize({ extra: () => ({ Lambda: 1 }) }), { ESTIMATOR: 'xcorr' });
+  assert.strictEqual(flat.buckets[0][0].xcorr.delay, null);
+  assert.strictEqual(flat.stepDelay(flat.buckets[0][0]), null);
+});
+
+test('first-order fits split the delay into dead time and time constant', () => {
+  // The lag is applied per sample, which a continuous first-order response
+  // matches with a dead time one interval shorter
+  const analyzer = analyze('lag.msl', synthesize({ delayMs: 300, timeConstantMs: 200 }));
+  const bucket = analyzer.buckets[0][0];
+  assert.strictEqual(bucket.deadTimes.length, bucket.events.length);
+  for (const event of bucket.events) {
+    assert.ok(event.fopdt.deadTime >= 200 && event.fopdt.deadTime <= 300, `dead time ${event.fopdt.deadTime}`);
+    assert.ok(event.fopdt.deadTime <= event.delay);
+    assert.ok(event.fopdt.timeConstant > 150 && event.fopdt.timeConstant < 250,
+      `time constant ${event.fopdt.timeConstant}`);
+    assert.ok(event.fopdt.r2 > 0.99);
+    assert.strictEqual(Math.sign(event.fopdt.gain), event.direction === 'rich' ? -1 : 1);
+  }
+
+  // Nothing to fit when lambda does not respond within the window
+  const slow = analyze('slow.msl', synthesize({ delayMs: 300 }), { FOPDT_WINDOW_MS: 300 });
+  slow.buckets[0][0].events.forEach(event => assert.strictEqual(event.fopdt, null));
+});
+
+test('the transport model fits delay = a + b / (RPM x MAP) and fills empty cells', () => {
+  // 200 ms plus 400000 / RPM at MAP 50: 600, 400 and 300 ms
+  const rpms = [1000, 2000, 4000];
+  const rows = synthesize({
+    seconds: 180, rpm: t => rpms[bandOf(t)], delayMs: t => 200 + 400000 / rpms[bandOf(t)]
+  });
+  const config = { RPM_BUCKETS: 3, MODEL_MIN_MEASUREMENTS: 2 };
+  const analyzer = analyze('transport.msl', rows, config);
+  analyzer.buckets[1][0].events = [];
+  analyzer.buckets[1][0].delays = [];
+  const model = quietly(() => analyzer.fitTransportModel());
+
+  close(model.a, 200, 5);
+  close(model.b, 400000 * 50, 400000 * 50 * 0.02);
+  assert.ok(model.rSquared > 0.99);
+  assert.strictEqual(model.physical, true);
+  assert.strictEqual(model.cellResiduals.length, 2);
+  assert.strictEqual(analyzer.buckets[1][0].modelled, true);
+  close(analyzer.tableDelay(analyzer.buckets[1][0]), 400, 10);
+  assert.strictEqual(analyzer.buckets[0][0].modelled, false);
+
+  // Not filled without MODEL_FILL, or from a fit that rises with exhaust flow
+  const unfilled = analyze('transport.msl', rows, { ...config, MODEL_FILL: false });
+  unfilled.buckets[1][0].events = [];
+  unfilled.buckets[1][0].delays = [];
+  quietly(() => unfilled.fitTransportModel());
+  assert.strictEqual(unfilled.buckets[1][0].modelled, false);
+  assert.strictEqual(unfilled.tableDelay(unfilled.buckets[1][0]), null);
+
+  const rising = analyze('rising.msl', synthesize({
+    seconds: 180, rpm: t => rpms[bandOf(t)], delayMs: t => [200, 300, 500][bandOf(t)]
+  }), config);
+  rising.buckets[1][0].events = [];
+  rising.buckets[1][0].delays = [];
+  assert.strictEqual(quietly(() => rising.fitTransportModel()).physical, false);
+  assert.strictEqual(rising.buckets[1][0].modelled, false);
+
+  const few = analyze('transport.msl', rows, { ...config, MODEL_MIN_MEASUREMENTS: 1000 });
+  assert.strictEqual(quietly(() => few.fitTransportModel()), null);
+});
+
+test('bootstrap intervals and grades follow the spread and count of a cell', () => {
+  const exact = analyze('exact.msl', synthesize({ delayMs: 300 }));
+  quietly(() => exact.assessQuality());
+  const quality = exact.buckets[0][0].quality;
+  assert.deepStrictEqual([quality.count, quality.grade], [29, 'A']);
+  close(quality.ciLow, 300);
+  close(quality.ciHigh, 300);
+
+  // Delays of 200, 300 and 400 ms in turn
+  const rows = synthesize({ delayMs: perStep(n => [200, 300, 400][n % 3]) });
+  const spread = analyze('spread.msl', rows);
+  quietly(() => spread.assessQuality());
+  const q = spread.buckets[0][0].quality;
+  assert.ok(q.ciLow <= 300 && q.ciHigh >= 300 && q.ciHigh > q.ciLow);
+  close(q.q1, 200);
+  close(q.q3, 400);
+  // 29 events, but an interval a third of the median wide
+  assert.strictEqual(q.grade, 'B');
+
+  // The same seed gives the same interval, and the grades are configurable
+  const again = analyze('spread.msl', rows);
+  quietly(() => again.assessQuality());
+  assert.deepStrictEqual(again.buckets[0][0].quality, q);
+  const strict = analyze('spread.msl', rows, { QUALITY_GRADES: [{ grade: 'A', minCount: 100, maxRelativeCi: 1 }] });
+  quietly(() => strict.assessQuality());
+  assert.strictEqual(strict.buckets[0][0].quality.grade, 'D');
+
+  // A short log has too few events for a good grade
+  const short = analyze('short.msl', synthesize({ seconds: 8, delayMs: 300 }));
+  quietly(() => short.assessQuality());
+  assert.strictEqual(short.buckets[0][0].quality.count, 3);
+  assert.strictEqual(short.buckets[0][0].quality.grade, 'D');
+});
+
+test('delay distributions find two modes and a median in the valley between them', () => {
+  const analyzer = analyze('modes.msl', synthesize({ seconds: 122, delayMs: perStep(n => (n % 2 ? 600 : 200)) }));
+  quietly(() => analyzer.analyzeDistributions());
+  const distribution = analyzer.buckets[0][0].distribution;
+  assert.strictEqual(distribution.multimodal, true);
+  assert.deepStrictEqual(distribution.modes.map(m => m.delay), [200, 600]);
+  distribution.modes.forEach(m => close(m.weight, 0.5, 0.05));
+  close(distribution.median, 400, 1e-6);
+  assert.strictEqual(distribution.medianInValley, true);
+  assert.strictEqual(distribution.histogram.counts.reduce((a, b) => a + b, 0), analyzer.buckets[0][0].delays.length);
+
+  const single = analyze('known.msl', synthesize({ delayMs: 300 }));
+  quietly(() => single.analyzeDistributions());
+  const one = single.buckets[0][0].distribution;
+  assert.strictEqual(one.multimodal, false);
+  assert.strictEqual(one.modes.length, 1);
+  close(one.modes[0].delay, 300, 10);
+  assert.strictEqual(one.medianInValley, false);
+});
+
+test('the Hampel filter rejects outliers and event weighting takes a weighted median', () => {
+  // 200, 300 and 400 ms in turn, with two steps answered after 1500 ms
+  const rows = synthesize({ delayMs: perStep(n => (n === 10 || n === 20 ? 1500 : [200, 300, 400][n % 3])) });
+  const plain = analyze('outliers.msl', rows);
+  assert.strictEqual(plain.buckets[0][0].delays.filter(d => d > 1000).length, 2);
+
+  const filtered = analyze('outliers.msl', rows, { OUTLIER_FILTER: 'hampel' });
+  const bucket = filtered.buckets[0][0];
+  assert.strictEqual(bucket.rejections.outlier, 2);
+  assert.ok(bucket.delays.every(d => d < 1000));
+  assert.strictEqual(bucket.rejected.length, 2);
+  bucket.rejected.forEach(event => assert.ok(event.deviation > 3));
+  assert.strictEqual(bucket.delays.length, plain.buckets[0][0].delays.length - 2);
+
+  assert.throws(() => analyze('outliers.msl', rows, { OUTLIER_FILTER: 'iqr' }), /Unknown outlier filter: iqr/);
+
+  const weighted = analyze('outliers.msl', rows, { EVENT_WEIGHTING: true });
+  const cell = weighted.buckets[0][0];
+  const scores = cell.events.map(e => e.quality.score);
+  assert.deepStrictEqual(weighted.delayWeights(cell), scores);
+  assert.strictEqual(weighted.stepDelay(cell), weighted.weightedMedian(cell.delays, scores));
+  assert.deepStrictEqual(plain.delayWeights(plain.buckets[0][0]), plain.buckets[0][0].delays.map(() => 1));
+
+  assert.strictEqual(plain.weightedMedian([1, 2, 3], [1, 1, 5]), 3);
+  assert.strictEqual(plain.weightedMedian([1, 2, 3, 4], [1, 1, 1, 1]), 2.5);
+  assert.strictEqual(plain.weightedMedian([1, 2], [0, 0]), null);
+});
+
+test('step qualification discards steps that do not hold', () => {
+  // A one-sample PW blip at 20.5 s: the step up does not settle and the
+  // step back down was not stable before it. Lambda ignores the blip, so
+  // the next rich step's response is taken as the blip's.
+  const rows = synthesize({ delayMs: 300 });
+  rows[205].PW += 1;
+  const plain = analyze('blip.msl', rows);
+  const blip = plain.buckets[0][0].events.find(e => e.stepIndex === 205);
+  close(blip.delay, 1800);
+
+  const qualified = analyze('blip.msl', rows, { STEP_QUALIFICATION: true });
+  assert.strictEqual(qualified.buckets[0][0].events.some(e => e.stepIndex === 205), false);
+  assert.deepStrictEqual(qualified.stepQualification.discarded, { unsettled: 1, unstableBefore: 1 });
+  assert.strictEqual(qualified.stepQualification.events, 29);
+  qualified.buckets[0][0].delays.forEach(delay => close(delay, 300));
+
+  assert.throws(() => analyze('blip.msl', rows, { AMBIGUOUS_STEPS: 'keep' }), /Unknown ambiguous step handling: keep/);
+});
+
+test('exclusion rules reject events that touch excluded samples', () => {
+  const rows = synthesize({ delayMs: 300, extra: t => ({ 'Accel Enrich': t >= 20 && t < 30 ? 120 : 100 }) });
+  const analyzer = analyze('enrich.msl', rows, { EXCLUSION_RULES: 'transients' });
+  assert.deepStrictEqual(analyzer.exclusionRules.map(rule => rule.reason), ['accelEnrich', 'dfco']);
+  assert.deepStrictEqual(analyzer.skippedExclusionRules, ['warmupEnrich', 'closedLoopEgo', 'coldEngine', 'syncLoss', 'engineTransient']);
+  assert.deepStrictEqual(analyzer.sampleExclusions, { accelEnrich: 100 });
+
+  // Steps at 20 to 28 s fall inside; the one at 30 s starts just after, but
+  // its window begins on the sample before the step
+  const bucket = analyzer.buckets[0][0];
+  assert.strictEqual(bucket.rejections.accelEnrich, 6);
+  assert.ok(bucket.events.every(e => e.time < 19.9 || e.time > 30));
+  assert.strictEqual(bucket.events.length, 29 - 6);
+  bucket.rejected.forEach(event => assert.strictEqual(event.excluded, 'accelEnrich'));
+
+  // Rules can be given as a list, and the xcorr windows are rejected too
+  const custom = analyze('enrich.msl', rows, {
+    ESTIMATOR: 'xcorr', EXCLUSION_RULES: [{ reason: 'enrich', signal: 'accelEnrich', op: '>', value: 110 }]
+  });
+  assert.ok(custom.buckets[0][0].rejections.enrich > 0);
+  assert.strictEqual(custom.buckets[0][0].xcorr.delay, 300);
+
+  assert.throws(() => analyze('enrich.msl', rows, { EXCLUSION_RULES: 'idle' }), /Unknown exclusion preset: idle/);
+  assert.throws(() => analyze('enrich.msl', rows, { EXCLUSION_RULES: [{ reason: 'x', signal: 'clt', op: '~' }] }),
+    /Unknown exclusion operator: ~/);
+});
+
+test('DFCO edges give a separate delay when DFCO_EVENTS is on', () => {
+  // Fuel cut from 31 to 33.5 s, between two PW steps
+  const rows = synthesize({ delayMs: 300, dfco: t => t >= 31 && t < 33.5 });
+  const analyzer = analyze('dfco.msl', rows, { DFCO_EVENTS: true });
+  const bucket = analyzer.buckets[0][0];
+  assert.deepStrictEqual(bucket.dfcoEvents.map(e => [e.edge, e.direction]), [['entry', 'lean'], ['exit', 'rich']]);
+  bucket.dfcoEvents.forEach(event => close(event.delay, 300));
+  close(analyzer.dfcoDelay(bucket), 300);
+  // The cut samples are excluded from the PW-step events
+  assert.ok(analyzer.exclusionRules.some(rule => rule.reason === 'dfco'));
+  assert.ok(bucket.events.every(e => e.time < 31 || e.time > 33.5));
+
+  const comparison = quietly(() => analyzer.compareDfcoDelays());
+  assert.strictEqual(comparison.meanDifference, 0);
+
+  // With DFCO_EVENTS off the cut rows are not loaded at all
+  const off = analyze('dfco.msl', rows);
+  assert.strictEqual(off.data.length, rows.length - 25);
+  assert.deepStrictEqual(off.buckets[0][0].dfcoEvents, []);
+
+  assert.throws(() => analyze('dfco.msl', rows, { DFCO_EVENTS: true, DFCO_RESPONSE: 'edge' }), /Unknown DFCO response: edge/);
+});
+
+test('cycle aggregation takes the median in crank revolutions', () => {
+  // Ten crank revolutions at 1500 and 3000 RPM: 400 and 200 ms
+  const rpm = t => (t < 30 ? 1500 : 3000);
+  const rows = synthesize({ delayMs: t => 10 * 60000 / rpm(t), rpm });
+  const analyzer = analyze('revs.msl', rows, { AGGREGATE_DOMAIN: 'cycles' });
+  const bucket = analyzer.buckets[0][0];
+  const axisRpm = analyzer.rpmAxisValues[0];
+  assert.strictEqual(axisRpm, 2250);
+  close(analyzer.bucketRevolutions(bucket), 10);
+  close(analyzer.bucketCycles(bucket), 5);
+  close(analyzer.stepDelay(bucket), 10 * 60000 / axisRpm);
+
+  // In ms the median is one of the two delays, whatever the RPM
+  const ms = analyze('revs.msl', rows);
+  assert.ok([200, 400].some(delay => Math.abs(ms.stepDelay(ms.buckets[0][0]) - delay) < 1e-6));
+  close(ms.bucketRevolutions(ms.buckets[0][0]), 10);
+
+  const twoStroke = analyze('revs.msl', rows, { REVS_PER_CYCLE: 1 });
+  close(twoStroke.bucketCycles(twoStroke.buckets[0][0]), 10);
+
+  const degrees = analyze('revs.msl', rows, { AGGREGATE_DOMAIN: 'degrees' });
+  assert.throws(() => degrees.stepDelay(degrees.buckets[0][0]), /Unknown aggregation domain: degrees/);
+});
+
+test('pooled logs keep their events within each file', () => {
+  const files = [writeLog('pool1.msl', synthesize({ seconds: 30, delayMs: 300 })),
+    writeLog('pool2.msl', synthesize({ seconds: 30, delayMs: 500 }))];
+  const analyzer = new LambdaDelayAnalyzer(files, { RPM_BUCKETS: 1, LOAD_BUCKETS: 1 });
+  quietly(() => {
+    analyzer.parseFile();
+    analyzer.calculateBucketBoundaries();
+    analyzer.assignToBuckets();
+    analyzer.calculateDelays();
+  });
+  assert.deepStrictEqual(analyzer.sourceFiles.map(s => [s.start, s.end]), [[0, 299], [300, 599]]);
+  assert.strictEqual(analyzer.segmentation.fileBreaks, 1);
+
+  const events = analyzer.buckets[0][0].events;
+  for (const event of events) {
+    const file = analyzer.sampleFile[event.stepIndex];
+    assert.strictEqual(analyzer.sampleFile[event.responseIndex], file);
+    close(event.delay, file === 0 ? 300 : 500);
+  }
+  assert.strictEqual(events.filter(e => analyzer.sampleFile[e.stepIndex] === 0).length, 14);
+  assert.strictEqual(events.filter(e => analyzer.sampleFile[e.stepIndex] === 1).length, 14);
+
+  assert.throws(() => new LambdaDelayAnalyzer(files, { MULTI_FILE: 'merge' }).parseFile(), /Unknown multi-file mode: merge/);
+});
+
+test('stitched logs are ordered by Capture Date and shifted onto one timeline', () => {
+  // The logger clock restarted with each file; the second file was captured
+  // a minute after the first
+  const first = writeLog('stitch1.msl', synthesize({ seconds: 30 }), { captureDate: 'Sat May 17 16:52:39 BST 2025' });
+  const second = writeLog('stitch2.msl', synthesize({ seconds: 30 }), { captureDate: 'Sat May 17 16:53:39 BST 2025' });
+  const analyzer = new LambdaDelayAnalyzer([second, first], { MULTI_FILE: 'stitch' });
+  quietly(() => analyzer.parseFile());
+
+  assert.deepStrictEqual(analyzer.sourceFiles.map(s => [s.file, s.timeOffsetS]), [[first, 0], [second, 60]]);
+  assert.strictEqual(analyzer.data.time[300], 60);
+  assert.deepStrictEqual([analyzer.segmentation.count, analyzer.segmentation.gaps], [2, 1]);
+
+  // A file that continues the logger clock keeps its own times
+  const continued = writeLog('stitch3.msl', synthesize({ seconds: 30, startTime: 60 }),
+    { captureDate: 'Sat May 17 16:53:39 BST 2025' });
+  const kept = new LambdaDelayAnalyzer([first, continued], { MULTI_FILE: 'stitch' });
+  quietly(() => kept.parseFile());
+  assert.strictEqual(kept.sourceFiles[1].timeOffsetS, 0);
+
+  const undated = writeLog('undated.msl', synthesize({ seconds: 10 }), { captureDate: 'unknown' });
+  assert.throws(() => quietly(() => new LambdaDelayAnalyzer([first, undated], { MULTI_FILE: 'stitch' }).parseFile()),
+    /no Capture Date in its header/);
+  const overlapping = writeLog('overlap.msl', synthesize({ seconds: 30, startTime: 20 }),
+    { captureDate: 'Sat May 17 16:52:59 BST 2025' });
+  assert.throws(() => quietly(() => new LambdaDelayAnalyzer([first, overlapping], { MULTI_FILE: 'stitch' }).parseFile()),
+    /overlaps the previous file/);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DelayTableLookup = require('../delay_table_lookup.js');
+
+const rpmAxis = [800, 1500, 2500, 4000];
+const loadAxis = [20, 40, 70];
+const values = [
+  [420.4, 380, null],
+  [300, 260.6, 240],
+  [null, 180, 150.5],
+  [120, 95, 90]
+];
+
+// Operating points on every edge, both corners outside the axes, on the
+// breakpoints and next to the empty cells
+function gridPoints() {
+  const points = [];
+  for (let rpm = 500; rpm <= 4500; rpm += 125) {
+    for (let load = 10; load <= 80; load += 5) points.push([rpm, load]);
+  }
+  points.push([800, 20], [4000, 70], [799, 19], [4001, 71], [1499, 39], [2500.9, 69.9]);
+  return points;
+}
+
+test('float lookup interpolates between cells', () => {
+  const lookup = new DelayTableLookup(rpmAxis, loadAxis, values);
+  assert.strictEqual(lookup.lookup(1500, 40), 260.6);
+  assert.ok(Math.abs(lookup.lookup(2000, 55) - (260.6 + 240 + 180 + 150.5) / 4) < 1e-9);
+});
+
+test('float lookup clamps or extrapolates outside the axes', () => {
+  const clamped = new DelayTableLookup(rpmAxis, loadAxis, values);
+  assert.strictEqual(clamped.lookup(5000, 70), 90);
+  assert.strictEqual(clamped.lookup(100, 20), 420.4);
+
+  const extrapolated = new DelayTableLookup(rpmAxis, loadAxis, values, { edges: 'extrapolate' });
+  assert.ok(Math.abs(extrapolated.lookup(5500, 70) - 29.5) < 1e-9);
+});
+
+test('float lookup re-weights the corners around an empty cell', () => {
+  const lookup = new DelayTableLookup(rpmAxis, loadAxis, values);
+  assert.ok(Math.abs(lookup.lookup(1150, 55) - (380 + 260.6 + 240) / 3) < 1e-9);
+  assert.ok(Math.abs(lookup.lookup(2000, 20) - 300) < 1e-9);
+  assert.strictEqual(new DelayTableLookup([1000], [50], [[null]]).lookup(1000, 50), null);
+});
+
+test('integer lookup fills empty cells and truncates', () => {
+  const lookup = new DelayTableLookup(rpmAxis, loadAxis, values, { mode: 'integer' });
+  assert.deepStrictEqual(lookup.intTable.values[0], [420, 380, 380]);
+  assert.strictEqual(lookup.lookup(1500, 40), 261);
+  // Fractions 128/256 each way: (261 + 240 + 180 + 151) / 4 = 208
+  assert.strictEqual(lookup.lookup(2000, 55), 208);
+  assert.strictEqual(lookup.lookup(10000, 100), 90);
+  assert.strictEqual(lookup.lookup(0, 0), 420);
+});
+
+test('integer mode rejects axes that merge when rounded', () => {
+  assert.throws(() => new DelayTableLookup([800, 1500.2, 1500.4], loadAxis, values.slice(0, 3), { mode: 'integer' }),
+    /RPM axis is not strictly increasing once rounded to integers: 1500.2 and 1500.4/);
+  assert.throws(() => DelayTableLookup.compareModes(rpmAxis, [20, 20.6, 21.4], values, [[1000, 20]]),
+    /load axis/);
+  // Float mode keeps the fractional breakpoints
+  assert.ok(new DelayTableLookup([800, 1500.2, 1500.4], loadAxis, values.slice(0, 3)).lookup(1500.3, 40) !== null);
+});
+
+test('float and integer modes agree within the tolerance, not exactly', () => {
+  const result = DelayTableLookup.compareModes(rpmAxis, loadAxis, values, gridPoints());
+  const failures = result.points.filter(p => !p.ok);
+  assert.deepStrictEqual(failures, []);
+  assert.ok(result.ok);
+  assert.ok(result.points.some(p => p.difference !== 0));
+});
+
+test('mode comparison holds for single-row tables and uneven axes', () => {
+  const single = DelayTableLookup.compareModes([2000], [10, 33, 97], [[500, null, 80]], gridPoints());
+  assert.ok(single.ok);
+
+  const uneven = DelayTableLookup.compareModes([600, 601, 7000], [15, 16, 100],
+    [[1000, 0, 1000], [0, 1000, 0], [null, 500, 1]], gridPoints());
+  assert.ok(uneven.ok);
+});
+
+test('mode comparison flags a result outside the bounds', () => {
+  const original = DelayTableLookup.prototype.lookupInteger;
+  DelayTableLookup.prototype.lookupInteger = function (rpm, load) {
+    return original.call(this, rpm, load) - 2;
+  };
+  try {
+    assert.strictEqual(DelayTableLookup.compareModes(rpmAxis, loadAxis, values, [[1500, 40]]).ok, false);
+  } finally {
+    DelayTableLookup.prototype.lookupInteger = original;
+  }
+});
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+// Writes the .mlg fixtures from short.msl, so the binary decoder can be
+// checked against the text log it was encoded from:
+//   short_v2.mlg - format version 2 with every column, a bit field, a
+//                  marker block and a block with a bad checksum
+//   short_v1.mlg - format version 1 without a Time field, so the reader
+//                  has to build the time from the block timestamps
+//
+// Run from the repository root: node test/fixtures/make_mlg.js
+
+const fs = require('fs');
+const path = require('path');
+
+// Field type codes and their sizes (see mlg_reader.js)
+const TYPES = {
+  U08: { code: 0, size: 1, write: (b, v, o) => b.writeUInt8(v, o) },
+  U16: { code: 2, size: 2, write: (b, v, o) => b.writeUInt16BE(v, o) },
+  S16: { code: 3, size: 2, write: (b, v, o) => b.writeInt16BE(v, o) },
+  U32: { code: 4, size: 4, write: (b, v, o) => b.writeUInt32BE(v, o) },
+  F32: { code: 7, size: 4, write: (b, v, o) => b.writeFloatBE(v, o) },
+  BIT08: { code: 10, size: 1, write: (b, v, o) => b.writeUInt8(v, o) }
+};
+
+// Stored value = value / scale - transform, read back as (raw + transform) * scale
+const FIELDS = [
+  { name: 'Time', units: 's', type: 'U32', scale: 0.001, transform: 0 },
+  { name: 'RPM', units: 'rpm', type: 'U16', scale: 1, transform: 0 },
+  { name: 'MAP', units: 'kpa', type: 'U16', scale: 1, transform: 0 },
+  { name: 'Lambda', units: '', type: 'S16', scale: 0.001, transform: 0 },
+  { name: 'CLT', units: 'C', type: 'U08', scale: 1, transform: -40 },
+  { name: 'Engine', units: 'bits', type: 'BIT08', scale: 1, transform: 0 },
+  { name: 'DFCO', units: 'on/off', type: 'U08', scale: 1, transform: 0 },
+  { name: 'PW', units: 'ms', type: 'F32', scale: 1, transform: 0 },
+  { name: 'FuelLoad', units: 'kpa', type: 'U16', scale: 0.1, transform: 0 }
+];
+
+const MARKER_LENGTH = 50;
+
+function readMsl(filename) {
+  const lines = fs.readFileSync(filename, 'latin1').split(/\r?\n/).filter(Boolean);
+  const headers = lines[2].split('\t');
+  const rows = lines.slice(3).map(line => {
+    const values = line.split('\t').map(parseFloat);
+    return Object.fromEntries(headers.map((h, k) => [h, values[k]]));
+  });
+  return { preamble: lines.slice(0, 2).map(l => l.replace(/"/g, '')), rows };
+}
+
+function encodeMlg({ preamble, rows }, { version, fields, markerAfter = null, corruptAfter = null }) {
+  const fieldSize = version === 1 ? 55 : 89;
+  const headerSize = version === 1 ? 22 : 24;
+  const recordLength = fields.reduce((a, f) => a + TYPES[f.type].size, 0);
+  const info = Buffer.from(preamble.join('\n') + '\0', 'latin1');
+  const infoStart = headerSize + fieldSize * fields.length;
+  const dataBegin = infoStart + info.length;
+
+  const head = Buffer.alloc(dataBegin);
+  head.write('MLVLG\0', 0, 'latin1');
+  head.writeUInt16BE(version, 6);
+  head.writeUInt32BE(0, 8);
+  let offset = 12;
+  if (version === 1) {
+    head.writeUInt16BE(infoStart, offset);
+    offset += 2;
+  } else {
+    head.writeUInt32BE(infoStart, offset);
+    offset += 4;
+  }
+  head.writeUInt32BE(dataBegin, offset);
+  head.writeUInt16BE(recordLength, offset + 4);
+  head.writeUInt16BE(fields.length, offset + 6);
+  offset += 8;
+
+  fields.forEach((field, k) => {
+    const base = offset + k * fieldSize;
+    head.writeUInt8(version === 1 && field.type === 'BIT08' ? TYPES.U08.code : TYPES[field.type].code, base);
+    head.write(field.name, base + 1, 'latin1');
+    head.write(field.units, base + 35, 'latin1');
+    head.writeFloatBE(field.scale, base + 46);
+    head.writeFloatBE(field.transform, base + 50);
+    head.writeInt8(3, base + 54);
+  });
+  info.copy(head, infoStart);
+
+  const blocks = [];
+  rows.forEach((row, n) => {
+    const stamp = Math.round(row.Time * 1e5) & 0xffff;
+    const block = Buffer.alloc(4 + recordLength + 1);
+    block.writeUInt8(0, 0);
+    block.writeUInt8(n & 0xff, 1);
+    block.writeUInt16BE(stamp, 2);
+
+    let position = 4;
+    for (const field of fields) {
+      const type = TYPES[field.type];
+      const raw = row[field.name] / field.scale - field.transform;
+      type.write(block, field.type === 'F32' ? raw : Math.round(raw), position);
+      position += type.size;
+    }
+    let crc = 0;
+    for (let k = 4; k < 4 + recordLength; k++) crc = (crc + block[k]) & 0xff;
+    block.writeUInt8(crc, 4 + recordLength);
+    blocks.push(block);
+
+    if (n === corruptAfter) {
+      const corrupt = Buffer.from(block);
+      corrupt.writeUInt8((crc + 1) & 0xff, 4 + recordLength);
+      blocks.push(corrupt);
+    }
+    if (n === markerAfter) {
+      const marker = Buffer.alloc(4 + MARKER_LENGTH);
+      marker.writeUInt8(1, 0);
+      marker.writeUInt16BE(stamp, 2);
+      marker.write('Fixture marker', 4, 'latin1');
+      blocks.push(marker);
+    }
+  });
+
+  return Buffer.concat([head, ...blocks]);
+}
+
+if (require.main === module) {
+  const dir = __dirname;
+  const log = readMsl(path.join(dir, 'short.msl'));
+  fs.writeFileSync(path.join(dir, 'short_v2.mlg'),
+    encodeMlg(log, { version: 2, fields: FIELDS, markerAfter: 9, corruptAfter: 19 }));
+  fs.writeFileSync(path.join(dir, 'short_v1.mlg'),
+    encodeMlg(log, { version: 1, fields: FIELDS.filter(f => f.name !== 'Time') }));
+}
+
+module.exports = { FIELDS, readMsl, encodeMlg };
@@ -0,0 +1,64 @@
+// Synthetic logs with a known lambda delay, for the analyzer tests.
+//
+// PW alternates between pwLow and pwHigh every stepEvery seconds. Lambda
+// follows the fuel delayMs later (a number, or a function of the time): it
+// settles at lambdaAt * pwMid / PW, with a first-order lag of timeConstantMs
+// when one is given. The steps fall between two samples and the delay is
+// rounded to whole sample intervals, so the sample-based delay of every
+// event is exactly that rounded delay.
+
+const fs = require('fs');
+
+function synthesize({
+  seconds = 60, rateHz = 10, startTime = 0, delayMs = 300, timeConstantMs = 0,
+  stepEvery = 2, pwLow = 3, pwHigh = 4, lambdaAt = 1, rpm = 2000, map = 50,
+  dfco = () => false, extra = () => ({})
+} = {}) {
+  const dt = 1 / rateHz;
+  const count = Math.round(seconds * rateHz);
+  const pwMid = (pwLow + pwHigh) / 2;
+  const pwAt = n => (Math.floor(n * dt / stepEvery + 1e-9) % 2 === 0 ? pwLow : pwHigh);
+  const alpha = timeConstantMs > 0 ? 1 - Math.exp(-dt * 1000 / timeConstantMs) : 1;
+
+  const rows = [];
+  let lambda = null;
+  for (let n = 0; n < count; n++) {
+    const t = startTime + n * dt;
+    const rpmValue = typeof rpm === 'function' ? rpm(t) : rpm;
+    const cut = dfco(t);
+    const delaySamples = Math.round((typeof delayMs === 'function' ? delayMs(t) : delayMs) / 1000 * rateHz);
+    const source = Math.max(n - delaySamples, 0);
+    const target = dfco(startTime + source * dt) ? 1.5 : lambdaAt * pwMid / pwAt(source);
+    lambda = lambda === null ? target : lambda + alpha * (target - lambda);
+
+    rows.push({
+      Time: Math.round(t * 1000) / 1000,
+      RPM: rpmValue,
+      MAP: typeof map === 'function' ? map(t) : map,
+      FuelLoad: typeof map === 'function' ? map(t) : map,
+      PW: cut ? 0 : pwAt(n),
+      Lambda: Math.round(lambda * 10000) / 10000,
+      DFCO: cut ? 1 : 0,
+      ...extra(t, n)
+    });
+  }
+  return rows;
+}
+
+// TunerStudio-style tab separated log
+function writeMsl(filename, rows, { firstLine = 'speeduino 202207', captureDate = 'Sat May 17 16:52:39 BST 2025' } = {}) {
+  const headers = Object.keys(rows[0]);
+  const lines = [`"${firstLine}"`, `"Capture Date: ${captureDate}"`, headers.join('\t'),
+    ...rows.map(row => headers.map(h => row[h]).join('\t'))];
+  fs.writeFileSync(filename, lines.join('\n') + '\n');
+}
+
+// CSV export with renamed columns: { header: row => value }
+function writeCsv(filename, rows, columns, { firstLine = 'rusefi log' } = {}) {
+  const headers = Object.keys(columns);
+  const lines = [firstLine, headers.join(','),
+    ...rows.map(row => headers.map(h => columns[h](row)).join(','))];
+  fs.writeFileSync(filename, lines.join('\n') + '\n');
+}
+
+module.exports = { synthesize, writeMsl, writeCsv };
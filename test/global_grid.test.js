@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LambdaDelayAnalyzer = require('../analyze_lambda_delay.js');
+const {
+  quantileSketch, fileGridData, pooledSamples, buildGlobalGrid, globalTable, combineTables, buildMasterTable
+} = require('../global_grid.js');
+const { synthesize, writeMsl } = require('./fixtures/synthetic_log.js');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'grid-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Run the analyzer up to the cell delays without its console output
+function analyze(name, rows, config) {
+  const file = path.join(dir, name);
+  writeMsl(file, rows);
+  const analyzer = new LambdaDelayAnalyzer(file, config);
+  const log = console.log;
+  console.log = () => {};
+  try {
+    analyzer.parseFile();
+    analyzer.calculateBucketBoundaries();
+    analyzer.assignToBuckets();
+    analyzer.calculateDelays();
+  } finally {
+    console.log = log;
+  }
+  return analyzer;
+}
+
+test('sketches keep evenly spaced quantiles and pool by sample count', () => {
+  assert.deepStrictEqual(quantileSketch([5, 1, 3, 2, 4], 3), { quantiles: [1, 3, 5], count: 5 });
+  assert.deepStrictEqual(quantileSketch([2, 1], 5), { quantiles: [1, 2], count: 2 });
+  assert.deepStrictEqual(quantileSketch([]), { quantiles: [], count: 0 });
+
+  const pooled = pooledSamples([
+    { quantiles: [0, 10], count: 300 },
+    { quantiles: [100, 110], count: 100 },
+    { quantiles: [], count: 0 }
+  ]);
+  assert.strictEqual(pooled.filter(v => v <= 10).length, 7500);
+  assert.strictEqual(pooled.filter(v => v >= 100).length, 2500);
+  assert.deepStrictEqual([pooled[0], pooled[pooled.length - 1]], [0, 110]);
+});
+
+test('files on different RPM ranges are combined on the global grid', () => {
+  // Each file's own percentile grid splits its own RPM range, so cell [0,0]
+  // is 800-1000 RPM in one file and 2800-3000 RPM in the other
+  const config = { RPM_BUCKETS: 2, LOAD_BUCKETS: 1 };
+  const low = analyze('low.msl', synthesize({ seconds: 60, rpm: t => 800 + (t % 10) * 40, delayMs: 600 }), config);
+  const high = analyze('high.msl', synthesize({ seconds: 60, rpm: t => 2800 + (t % 10) * 40, delayMs: 200 }), config);
+  assert.ok(low.rpmBoundaries[2] < 1300 && high.rpmBoundaries[0] > 2700);
+
+  const files = [low, high].map(fileGridData);
+  files[0].measurements.forEach(m => assert.ok(Math.abs(m.delay - 600) < 1e-6));
+  files[1].measurements.forEach(m => assert.ok(Math.abs(m.delay - 200) < 1e-6));
+
+  const grid = buildGlobalGrid(config, files);
+  assert.strictEqual(grid.rpmBoundaries[0], 800);
+  assert.strictEqual(grid.rpmBoundaries[2], 3196);
+  assert.ok(grid.rpmBoundaries[1] > 1196 && grid.rpmBoundaries[1] <= 2800);
+
+  // Each file only covers its own row, and a single-file cell keeps its delay
+  const tables = files.map(f => globalTable(grid, f.measurements));
+  assert.deepStrictEqual(tables.map(t => t.map(row => row[0].median)), [[600, null], [null, 200]]);
+  assert.strictEqual(tables[0][0][0].count, files[0].measurements.length);
+
+  const bucketStats = combineTables(grid, tables);
+  assert.strictEqual(bucketStats['[0,0]'].filesWithData, 1);
+  assert.deepStrictEqual(buildMasterTable(grid, bucketStats), [[600], [200]]);
+});
+
+test('cells are combined weighted by measurement count', () => {
+  const grid = new LambdaDelayAnalyzer(null, { RPM_BUCKETS: 1, LOAD_BUCKETS: 3 });
+  const tables = [
+    [[{ median: 100, count: 1 }, { median: 300, count: 4 }, { median: null, count: 0 }]],
+    [[{ median: 200, count: 3 }, { median: null, count: 0 }, { median: null, count: 0 }]]
+  ];
+  const bucketStats = combineTables(grid, tables);
+
+  const stats = bucketStats['[0,0]'];
+  assert.strictEqual(stats.filesWithData, 2);
+  assert.strictEqual(stats.measurements, 4);
+  assert.strictEqual(stats.mean, 175);
+  assert.strictEqual(stats.stdDev, Math.sqrt((75 * 75 + 3 * 25 * 25) / 4));
+  assert.strictEqual(stats.range, 100);
+  assert.strictEqual(bucketStats['[0,2]'], undefined);
+  assert.deepStrictEqual(buildMasterTable(grid, bucketStats), [[175, 300, null]]);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expandLogPaths } = require('../log_reader.js');
+
+// A scratch directory with a few logs, other files and names that hold
+// regular expression characters
+function makeLogDir(names) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'expand-'));
+  for (const name of names) {
+    if (name.endsWith('/')) fs.mkdirSync(path.join(dir, name));
+    else fs.writeFileSync(path.join(dir, name), '');
+  }
+  return dir;
+}
+
+const names = ['b.msl', 'a.mlg', 'c.MSL', 'notes.txt', 'run(1).msl', 'run+2.msl', 'runx1.msl', 'sub/'];
+const dir = makeLogDir(names);
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const inDir = (...entries) => entries.map(entry => path.join(dir, entry));
+
+test('a directory expands to its log files, sorted by name', () => {
+  assert.deepStrictEqual(expandLogPaths(dir),
+    inDir('a.mlg', 'b.msl', 'c.MSL', 'run(1).msl', 'run+2.msl', 'runx1.msl'));
+
+  const empty = makeLogDir(['readme.txt']);
+  try {
+    assert.throws(() => expandLogPaths(empty), /No log files in/);
+  } finally {
+    fs.rmSync(empty, { recursive: true, force: true });
+  }
+});
+
+test('* and ? in the file name match entries of its directory', () => {
+  assert.deepStrictEqual(expandLogPaths(path.join(dir, '*.msl')),
+    inDir('b.msl', 'run(1).msl', 'run+2.msl', 'runx1.msl'));
+  assert.deepStrictEqual(expandLogPaths(path.join(dir, '?.m*')), inDir('a.mlg', 'b.msl'));
+  assert.deepStrictEqual(expandLogPaths(path.join(dir, 'run?1*')), inDir('run(1).msl', 'runx1.msl'));
+  assert.throws(() => expandLogPaths(path.join(dir, '*.csv')), /No files match/);
+  assert.throws(() => expandLogPaths(path.join(dir, 'missing', '*.msl')), /No files match/);
+});
+
+test('regular expression characters in a glob match literally', () => {
+  assert.deepStrictEqual(expandLogPaths(path.join(dir, 'run(1).*')), inDir('run(1).msl'));
+  assert.deepStrictEqual(expandLogPaths(path.join(dir, 'run+?.msl')), inDir('run+2.msl'));
+  // '.' is not a wildcard
+  assert.throws(() => expandLogPaths(path.join(dir, 'b.ms?.*')), /No files match/);
+});
+
+test('plain paths pass through and duplicates are dropped', () => {
+  const missing = path.join(dir, 'missing.msl');
+  assert.deepStrictEqual(expandLogPaths(missing), [missing]);
+  assert.deepStrictEqual(expandLogPaths([path.join(dir, 'b.msl'), path.join(dir, '*.mlg'), dir, missing]),
+    [...inDir('b.msl', 'a.mlg', 'c.MSL', 'run(1).msl', 'run+2.msl', 'runx1.msl'), missing]);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { readLog } = require('../log_reader.js');
+const fs = require('fs');
+const { readMlgHeader, readMlgFileHeader } = require('../mlg_reader.js');
+const { FIELDS } = require('./fixtures/make_mlg.js');
+
+// The .mlg fixtures are short.msl encoded by fixtures/make_mlg.js
+const fixture = name => path.join(__dirname, 'fixtures', name);
+const names = FIELDS.map(f => f.name);
+
+function readColumns(filename, columnNames) {
+  const { dataset, preamble, format } = readLog(filename, {
+    columns: Object.fromEntries(columnNames.map(name => [name, name]))
+  });
+  return { dataset, preamble, format };
+}
+
+// A stored value is off by at most half its scale, plus float32 rounding
+function assertColumnsMatch(actual, expected, columnNames) {
+  assert.strictEqual(actual.length, expected.length);
+  for (const name of columnNames) {
+    const field = FIELDS.find(f => f.name === name);
+    for (let k = 0; k < expected.length; k++) {
+      const tolerance = field.scale / 2 + Math.abs(expected[name][k]) * 1e-6;
+      assert.ok(Math.abs(actual[name][k] - expected[name][k]) <= tolerance,
+        `${name}[${k}]: ${actual[name][k]} vs ${expected[name][k]}`);
+    }
+  }
+}
+
+test('version 2 header decodes field names, units, scaling and info text', () => {
+  const header = readMlgFileHeader(fixture('short_v2.mlg'));
+  assert.strictEqual(header.version, 2);
+  assert.deepStrictEqual(header.fields.map(f => f.name), names);
+  assert.deepStrictEqual(header.fields.map(f => f.units), FIELDS.map(f => f.units));
+  assert.deepStrictEqual(header.fields.map(f => f.transform), FIELDS.map(f => f.transform));
+  assert.ok(Math.abs(header.fields[0].scale - 0.001) < 1e-9);
+  assert.strictEqual(header.recordLength, 19);
+  assert.strictEqual(header.info, 'speeduino 202207\nCapture Date: Sat May 17 16:52:39 BST 2025');
+});
+
+test('version 2 records match the text log they were encoded from', () => {
+  const expected = readColumns(fixture('short.msl'), names);
+  const actual = readColumns(fixture('short_v2.mlg'), names);
+  assert.strictEqual(actual.format, 'mlg');
+  assert.deepStrictEqual(actual.preamble, expected.preamble.map(line => line.replace(/"/g, '')));
+
+  // The marker block is not a record and the bad-checksum block is skipped
+  assert.strictEqual(actual.dataset.length, 40);
+  assertColumnsMatch(actual.dataset, expected.dataset, names);
+  assert.deepStrictEqual(Array.from(actual.dataset.Engine), Array.from(expected.dataset.Engine));
+});
+
+test('version 1 log without a Time field gets its time from the block timestamps', () => {
+  const header = readMlgFileHeader(fixture('short_v1.mlg'));
+  assert.strictEqual(header.version, 1);
+  assert.ok(!header.fields.some(f => f.name === 'Time'));
+
+  const expected = readColumns(fixture('short.msl'), names);
+  const actual = readColumns(fixture('short_v1.mlg'), names);
+  assertColumnsMatch(actual.dataset, expected.dataset, names.filter(name => name !== 'Time'));
+
+  // Timestamps count 10 µs ticks from the first block and wrap every 655 ms
+  assert.strictEqual(actual.dataset.Time[0], 0);
+  for (let k = 0; k < expected.dataset.length; k++) {
+    const elapsed = expected.dataset.Time[k] - expected.dataset.Time[0];
+    assert.ok(Math.abs(actual.dataset.Time[k] - elapsed) < 2e-5, `Time[${k}]`);
+  }
+  assert.ok(actual.dataset.Time[actual.dataset.length - 1] > 0.655);
+});
+
+test('unknown signatures, versions and field types are refused', () => {
+  assert.throws(() => readMlgFileHeader(fixture('short.msl')), /Not an MLVLG log/);
+
+  const buffer = fs.readFileSync(fixture('short_v2.mlg'));
+  const badVersion = Buffer.from(buffer);
+  badVersion.writeUInt16BE(3, 6);
+  assert.throws(() => readMlgHeader(badVersion), /Unsupported MLVLG format version: 3/);
+
+  const badType = Buffer.from(buffer);
+  badType.writeUInt8(99, 24);
+  assert.throws(() => readMlgHeader(badType), /Unknown MLVLG field type 99/);
+});
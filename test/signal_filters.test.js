@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  applyFilters, changeNoise, medianFilter, movingAverage, robustSpread,
+  savitzkyGolay, savitzkyGolayCoefficients, zeroPhaseLowPass
+} = require('../signal_filters.js');
+const { TimeSeries } = require('../time_series.js');
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} vs ${expected}`);
+
+test('median filter removes spikes and mirrors the edges', () => {
+  assert.deepStrictEqual(Array.from(medianFilter([1, 1, 9, 1, 1], 3)), [1, 1, 1, 1, 1]);
+  // The first window is [1, 5, 1] with the mirrored sample
+  assert.deepStrictEqual(Array.from(medianFilter([5, 1, 1, 1], 3)), [1, 1, 1, 1]);
+  assert.deepStrictEqual(Array.from(medianFilter([4], 5)), [4]);
+  assert.throws(() => medianFilter([1, 2, 3], 4), /odd number of samples, got 4/);
+});
+
+test('moving average keeps the mean and mirrors the edges', () => {
+  const out = movingAverage([0, 3, 6, 9], 3);
+  assert.deepStrictEqual(Array.from(out), [2, 3, 6, 7]);
+  assert.deepStrictEqual(Array.from(movingAverage([2, 2, 2], 5)), [2, 2, 2]);
+});
+
+test('Savitzky-Golay reproduces polynomials up to its order', () => {
+  const coefficients = savitzkyGolayCoefficients(7, 2);
+  close(coefficients.reduce((a, b) => a + b, 0), 1);
+  // The classic 7-point quadratic smoother: (-2, 3, 6, 7, 6, 3, -2) / 21
+  [-2, 3, 6, 7, 6, 3, -2].forEach((c, k) => close(coefficients[k], c / 21));
+
+  const quadratic = Array.from({ length: 20 }, (_, k) => 0.5 * k * k - 3 * k + 2);
+  const smoothed = savitzkyGolay(quadratic, 7, 2);
+  for (let k = 3; k < 17; k++) close(smoothed[k], quadratic[k], 1e-9);
+
+  const cubic = Array.from({ length: 20 }, (_, k) => 0.01 * k * k * k - k);
+  const cubicSmoothed = savitzkyGolay(cubic, 9, 3);
+  for (let k = 4; k < 16; k++) close(cubicSmoothed[k], cubic[k], 1e-9);
+
+  assert.throws(() => savitzkyGolay(quadratic, 5, 5), /order must be below the window length/);
+});
+
+test('zero-phase Butterworth has unit DC gain and no phase shift', () => {
+  const rate = 50;
+  const constant = zeroPhaseLowPass(new Array(40).fill(3.5), 5, rate);
+  constant.forEach(v => close(v, 3.5, 1e-9));
+
+  // Forwards and backwards squares the magnitude: 1/2 at the cutoff
+  const sine = f => Array.from({ length: 2000 }, (_, k) => Math.sin(2 * Math.PI * f * k / rate));
+  const gain = f => Math.max(...zeroPhaseLowPass(sine(f), 5, rate).slice(500, 1500)) /
+    Math.max(...sine(f).slice(500, 1500));
+  close(gain(5), 0.5, 0.01);
+  close(gain(0.5), 1, 0.01);
+
+  // No phase shift: a passband sine peaks where the input does, and a step
+  // response is antisymmetric about the step
+  const slow = zeroPhaseLowPass(sine(0.5), 5, rate);
+  const peak = values => values.slice(500, 600).indexOf(Math.max(...values.slice(500, 600)));
+  assert.strictEqual(peak(slow), peak(sine(0.5)));
+  const step = zeroPhaseLowPass(Array.from({ length: 100 }, (_, k) => (k >= 50 ? 1 : 0)), 5, rate);
+  for (let m = 0; m < 10; m++) close(step[49 - m] + step[50 + m], 1, 1e-3);
+
+  assert.throws(() => zeroPhaseLowPass([1, 2], 25, rate), /below the Nyquist frequency/);
+  assert.throws(() => zeroPhaseLowPass([1, 2], 0, rate), /positive cutoff/);
+  assert.strictEqual(zeroPhaseLowPass([], 5, rate).length, 0);
+});
+
+test('filter chains run in order and leave NaN gaps in place', () => {
+  const chained = applyFilters([1, 1, 9, 1, 1, 4, 4], [{ type: 'median', window: 3 }, { type: 'movingAverage', window: 3 }]);
+  const expected = movingAverage(medianFilter([1, 1, 9, 1, 1, 4, 4], 3), 3);
+  assert.deepStrictEqual(Array.from(chained), Array.from(expected));
+  assert.deepStrictEqual(Array.from(applyFilters([1, 2, 3], [])), [1, 2, 3]);
+
+  // Each run between NaN samples is filtered on its own
+  const gapped = applyFilters([1, 1, 9, NaN, 7, 7, 7], [{ type: 'movingAverage', window: 3 }]);
+  assert.ok(Number.isNaN(gapped[3]));
+  assert.deepStrictEqual(Array.from(gapped.subarray(0, 3)), Array.from(movingAverage([1, 1, 9], 3)));
+  gapped.subarray(4).forEach(v => close(v, 7));
+  assert.ok(applyFilters([NaN, NaN], [{ type: 'median', window: 3 }]).every(Number.isNaN));
+
+  assert.throws(() => applyFilters([1, 2], [{ type: 'kalman' }]), /Unknown filter type: kalman/);
+});
+
+test('robustSpread scales the MAD and falls back for quantised signals', () => {
+  close(robustSpread([1, 2, 3, 4, 100]), 1.4826);
+  // Most values equal: MAD is 0, so the mean absolute deviation is used
+  close(robustSpread([1, 1, 1, 1, 6]), 1);
+  assert.strictEqual(robustSpread([]), 0);
+});
+
+test('changeNoise skips flagged samples and segment boundaries', () => {
+  // Two stretches at different levels, joined by a jump
+  const values = [1, 1, 1.1, 1.1, 1, 5, 5, 5.1, 5, 5];
+  const changes = values.slice(1).map((v, k) => v - values[k]);
+  close(changeNoise(values), robustSpread(changes));
+
+  // A skipped sample drops the changes either side of it
+  const skip = new Uint8Array(values.length);
+  skip[5] = 1;
+  close(changeNoise(values, skip), robustSpread(changes.filter((_, k) => k !== 4 && k !== 5)));
+
+  // A segment boundary drops the change across it
+  const series = new TimeSeries([0, 0.1, 0.2, 0.3, 0.4, 0, 0.1, 0.2, 0.3, 0.4], {});
+  const within = changes.filter((_, k) => k !== 4);
+  close(changeNoise(values, null, series), robustSpread(within));
+  assert.ok(changeNoise(values, null, series) < changeNoise(values));
+});
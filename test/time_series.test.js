@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TimeSeries } = require('../time_series.js');
+const { LogDataset } = require('../log_reader.js');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} vs ${expected}`);
+
+// Two stretches 10 Hz apart by a 0.5 s dropout, then a logger restart
+const time = [0, 0.1, 0.2, 0.3, 0.8, 0.9, 1.0, 0.05, 0.15, 0.25];
+const pw = [1, 2, 3, 4, 5, 6, 7, 10, 20, 30];
+
+test('segments split at gaps, time resets and breaks', () => {
+  const series = new TimeSeries(time, { pw }, { maxGap: 0.2 });
+  assert.deepStrictEqual(series.segments.map(s => [s.start, s.end]), [[0, 3], [4, 6], [7, 9]]);
+  assert.ok(series.sameSegment(0, 3));
+  assert.ok(!series.sameSegment(3, 4));
+  assert.strictEqual(series.segmentOf(8).start, 7);
+
+  const split = new TimeSeries([0, 1, 2, 3], {}, { breaks: [2] });
+  assert.deepStrictEqual(split.segments.map(s => [s.start, s.end]), [[0, 1], [2, 3]]);
+
+  const repeated = new TimeSeries([0, 1, 1, 2], {});
+  assert.strictEqual(repeated.segments.length, 2);
+  assert.deepStrictEqual(new TimeSeries([], {}).segments, []);
+});
+
+test('indexAtOrBefore searches a whole series or one segment', () => {
+  const series = new TimeSeries(time.slice(0, 7), {}, { maxGap: 0.2 });
+  assert.strictEqual(series.indexAtOrBefore(-1), -1);
+  assert.strictEqual(series.indexAtOrBefore(0.2), 2);
+  assert.strictEqual(series.indexAtOrBefore(0.5), 3);
+  assert.strictEqual(series.indexAtOrBefore(5), 6);
+
+  const second = series.segments[1];
+  assert.strictEqual(series.indexAtOrBefore(0.5, second), 3);
+  assert.strictEqual(series.indexAtOrBefore(0.85, second), 4);
+});
+
+test('nearestIndex respects the distance limit and the segment', () => {
+  const series = new TimeSeries(time, { pw }, { maxGap: 0.2 });
+  const [first, , third] = series.segments;
+  assert.strictEqual(series.nearestIndex(0.26, Infinity, first), 3);
+  assert.strictEqual(series.nearestIndex(0.7, 0.05, first), -1);
+  assert.strictEqual(series.nearestIndex(0.7, 0.5, first), 3);
+  assert.strictEqual(series.nearestIndex(0.12, 0.5, third), 8);
+  assert.strictEqual(series.nearestIndex(0.0, 0.1, third), 7);
+});
+
+test('bracket and valueAt interpolate within a segment only', () => {
+  const series = new TimeSeries(time, { pw }, { maxGap: 0.2 });
+  const [first, second, third] = series.segments;
+
+  const position = series.bracket(0.15, first);
+  assert.strictEqual(position.low, 1);
+  assert.strictEqual(position.high, 2);
+  close(position.fraction, 0.5);
+  close(series.valueAt('pw', 0.15, first), 2.5);
+  assert.deepStrictEqual(series.bracket(0.1, first), { low: 1, high: 1, fraction: 0 });
+
+  // In the dropout and outside the segment
+  assert.strictEqual(series.bracket(0.5, first), null);
+  assert.strictEqual(series.bracket(0.5, second), null);
+  assert.strictEqual(series.bracket(1.05, second), null);
+
+  // The restarted clock covers t = 0.15 again
+  close(series.valueAt('pw', 0.2, third), 25);
+  close(series.valueAt(pw, 0.1, third), 15);
+});
+
+test('a series whose time goes backwards must be looked up per segment', () => {
+  const series = new TimeSeries(time, { pw }, { maxGap: 0.2 });
+  assert.strictEqual(series.ordered, false);
+  assert.throws(() => series.indexAtOrBefore(0.2), /one segment at a time/);
+  assert.throws(() => series.nearestIndex(0.2), /one segment at a time/);
+  assert.throws(() => series.bracket(0.2), /one segment at a time/);
+  assert.throws(() => series.valueAt('pw', 0.2), /one segment at a time/);
+  assert.strictEqual(series.indexAtOrBefore(0.2, series.segmentOf(8)), 8);
+
+  // Repeated times and gaps split segments but keep whole-series lookups
+  const repeated = new TimeSeries([0, 1, 1, 5], {}, { maxGap: 2 });
+  assert.strictEqual(repeated.ordered, true);
+  assert.strictEqual(repeated.indexAtOrBefore(3), 2);
+});
+
+test('interpolate rejects unknown columns and passes null positions through', () => {
+  const series = new TimeSeries(time, { pw }, { maxGap: 0.2 });
+  assert.throws(() => series.interpolate('lambda', { low: 0, high: 1, fraction: 0 }), /Unknown column: lambda/);
+  assert.strictEqual(series.interpolate('pw', null), null);
+});
+
+test('resample keeps segment gaps and time resets', () => {
+  const series = new TimeSeries(time, { pw }, { maxGap: 0.2 });
+  const uniform = series.resample(20, ['pw']);
+  assert.deepStrictEqual(uniform.segments.map(s => s.end - s.start + 1), [7, 5, 5]);
+  close(uniform.columns.pw[1], 1.5);
+  assert.strictEqual(uniform.bracket(0.5, uniform.segments[0]), null);
+
+  // A rate slower than the gap between segments must not join them
+  const gapped = new TimeSeries([0, 0.1, 0.2, 0.4, 0.5, 0.6], { pw: [1, 1, 1, 2, 2, 2] }, { maxGap: 0.15 });
+  const slow = gapped.resample(1);
+  assert.strictEqual(slow.length, 2);
+  assert.strictEqual(slow.segments.length, 2);
+  assert.deepStrictEqual(Array.from(slow.columns.pw), [1, 2]);
+
+  assert.throws(() => series.resample(0), /positive rate/);
+});
+
+test('fromDataset wraps the columns of a LogDataset', () => {
+  const dataset = new LogDataset(['time', 'rpm']);
+  [[0, 1000], [0.1, 1100], [0.2, 1200]].forEach(([t, rpm]) => dataset.push({ time: t, rpm }));
+  const series = TimeSeries.fromDataset(dataset.trim());
+  assert.deepStrictEqual(Object.keys(series.columns), ['rpm']);
+  close(series.valueAt('rpm', 0.05), 1050);
+});
@@ -15,6 +15,9 @@ const baseConfig = {
   BUCKET_COUNT: 3
 };
 
+const { rows, cols } = LambdaDelayAnalyzer.gridSize(baseConfig);
+const totalBuckets = rows * cols;
+
 console.log('Testing sensitivity to threshold parameters...\n');
 console.log('='.repeat(80));
 
@@ -49,13 +52,13 @@ for (const pwThreshold of pwThresholds) {
       let bucketsWithData = 0;
       const bucketDetails = [];
 
-      for (let i = 0; i < 3; i++) {
-        for (let j = 0; j < 3; j++) {
+      for (let i = 0; i < analyzer.rpmBucketCount; i++) {
+        for (let j = 0; j < analyzer.loadBucketCount; j++) {
           const delays = analyzer.buckets[i][j].delays;
           totalMeasurements += delays.length;
           if (delays.length > 0) {
             bucketsWithData++;
-            const median = analyzer.median(delays);
+            const median = analyzer.stepDelay(analyzer.buckets[i][j]);
             bucketDetails.push({
               rpm: i,
               load: j,
@@ -76,7 +79,7 @@ for (const pwThreshold of pwThresholds) {
 
       console.log(`PW: ${pwThreshold.toFixed(2)}, Lambda: ${lambdaThreshold.toFixed(3)} => ` +
                   `${totalMeasurements.toString().padStart(3)} measurements, ` +
-                  `${bucketsWithData}/9 buckets`);
+                  `${bucketsWithData}/${totalBuckets} buckets`);
 
     } catch (error) {
       console.log = originalLog;
@@ -89,7 +92,7 @@ console.log('\n' + '='.repeat(80));
 console.log('\nSummary Analysis:\n');
 
 // Find configurations with best coverage
-const withFullCoverage = results.filter(r => r.bucketsWithData >= 6);
+const withFullCoverage = results.filter(r => r.bucketsWithData >= Math.ceil(totalBuckets * 2 / 3));
 const sortedByMeasurements = [...results].sort((a, b) => b.totalMeasurements - a.totalMeasurements);
 const sortedByCoverage = [...results].sort((a, b) => {
   if (b.bucketsWithData !== a.bucketsWithData) {
@@ -102,21 +105,21 @@ console.log('Top 5 by bucket coverage:');
 for (let i = 0; i < Math.min(5, sortedByCoverage.length); i++) {
   const r = sortedByCoverage[i];
   console.log(`  ${i+1}. PW: ${r.pwThreshold.toFixed(2)}, Lambda: ${r.lambdaThreshold.toFixed(3)} => ` +
-              `${r.totalMeasurements} measurements, ${r.bucketsWithData}/9 buckets`);
+              `${r.totalMeasurements} measurements, ${r.bucketsWithData}/${totalBuckets} buckets`);
 }
 
 console.log('\nTop 5 by total measurements:');
 for (let i = 0; i < Math.min(5, sortedByMeasurements.length); i++) {
   const r = sortedByMeasurements[i];
   console.log(`  ${i+1}. PW: ${r.pwThreshold.toFixed(2)}, Lambda: ${r.lambdaThreshold.toFixed(3)} => ` +
-              `${r.totalMeasurements} measurements, ${r.bucketsWithData}/9 buckets`);
+              `${r.totalMeasurements} measurements, ${r.bucketsWithData}/${totalBuckets} buckets`);
 }
 
 // Show current default
 const defaultResult = results.find(r => r.pwThreshold === 0.5 && r.lambdaThreshold === 0.05);
 if (defaultResult) {
   console.log('\nCurrent default (PW: 0.50, Lambda: 0.050):');
-  console.log(`  ${defaultResult.totalMeasurements} measurements, ${defaultResult.bucketsWithData}/9 buckets`);
+  console.log(`  ${defaultResult.totalMeasurements} measurements, ${defaultResult.bucketsWithData}/${totalBuckets} buckets`);
   console.log('  Bucket details:');
   for (const bd of defaultResult.bucketDetails) {
     console.log(`    RPM[${bd.rpm}] Load[${bd.load}]: ${bd.count} measurements, median: ${bd.median}ms`);
@@ -128,4 +131,4 @@ console.log('\nInsights:');
 console.log(`  - Loosest thresholds: PW: ${Math.min(...pwThresholds)}, Lambda: ${Math.min(...lambdaThresholds)}`);
 console.log(`  - Tightest thresholds: PW: ${Math.max(...pwThresholds)}, Lambda: ${Math.max(...lambdaThresholds)}`);
 console.log(`  - Max measurements found: ${Math.max(...results.map(r => r.totalMeasurements))}`);
-console.log(`  - Max bucket coverage: ${Math.max(...results.map(r => r.bucketsWithData))}/9`);
+console.log(`  - Max bucket coverage: ${Math.max(...results.map(r => r.bucketsWithData))}/${totalBuckets}`);
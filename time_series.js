@@ -0,0 +1,178 @@
+// Time-indexed view of a parsed log.
+//
+// Wraps the time column and any value columns of a LogDataset (or plain
+// arrays) without copying them, and answers time queries by binary search:
+// the sample at or before a time, the nearest sample, values interpolated at
+// any time and resampling to a uniform rate. Times are in seconds and must
+// be in file order.
+//
+// The log is split into segments wherever the time goes backwards (a logger
+// restart), two samples are more than `maxGap` seconds apart (a dropout or
+// rows filtered out by the analysis) or at the sample indices listed in
+// `breaks` (where one file ends and the next begins). Interpolation never
+// crosses a segment boundary.
+//
+// When the time goes backwards anywhere (a restart, or pooled files that each
+// keep their own clock) a search of the whole series has no single answer, so
+// the lookups then need a segment and throw without one.
+
+class TimeSeries {
+  constructor(time, columns = {}, { maxGap = Infinity, breaks = [] } = {}) {
+    this.time = time;
+    this.columns = columns;
+    this.maxGap = maxGap;
+    this.breaks = new Set(breaks);
+    this.length = time.length;
+    this.segments = this.findSegments();
+    this.ordered = this.time.every((t, k) => k === 0 || t >= this.time[k - 1]);
+
+    // Segment index of every sample, for boundary checks
+    this.segmentIndex = new Uint32Array(this.length);
+    this.segments.forEach((segment, s) => this.segmentIndex.fill(s, segment.start, segment.end + 1));
+  }
+
+  // Series over every column of a LogDataset
+  static fromDataset(dataset, options = {}) {
+    const columns = {};
+    for (const name of dataset.columnNames) {
+      if (name !== 'time') columns[name] = dataset[name];
+    }
+    return new TimeSeries(dataset.time, columns, options);
+  }
+
+  // Inclusive index ranges { start, end, startTime, endTime } of the
+  // continuous stretches of the log
+  findSegments() {
+    const segments = [];
+    if (this.length === 0) return segments;
+
+    let start = 0;
+    for (let k = 1; k <= this.length; k++) {
+      const split = k === this.length || this.breaks.has(k) ||
+        !(this.time[k] > this.time[k - 1]) ||
+        this.time[k] - this.time[k - 1] > this.maxGap;
+      if (!split) continue;
+      segments.push({ start, end: k - 1, startTime: this.time[start], endTime: this.time[k - 1] });
+      start = k;
+    }
+    return segments;
+  }
+
+  // Whether samples a and b lie in the same segment
+  sameSegment(a, b) {
+    return this.segmentIndex[a] === this.segmentIndex[b];
+  }
+
+  // Segment containing sample k
+  segmentOf(k) {
+    return this.segments[this.segmentIndex[k]];
+  }
+
+  // Largest index whose time is <= t, or start - 1 when t precedes the range.
+  // Searches the whole series unless a segment is given; a log whose time
+  // resets must be queried one segment at a time.
+  indexAtOrBefore(t, segment = null) {
+    if (!segment && !this.ordered) {
+      throw new Error('Time goes backwards in this series; look it up one segment at a time');
+    }
+    const start = segment ? segment.start : 0;
+    let low = start;
+    let high = segment ? segment.end : this.length - 1;
+    let found = start - 1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (this.time[mid] <= t) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return found;
+  }
+
+  // Index of the sample closest in time to t, or -1 if none lies within
+  // maxDistance seconds
+  nearestIndex(t, maxDistance = Infinity, segment = null) {
+    const start = segment ? segment.start : 0;
+    const end = segment ? segment.end : this.length - 1;
+    const before = this.indexAtOrBefore(t, segment);
+
+    let best = -1;
+    let bestDistance = Infinity;
+    for (const k of [before, before + 1]) {
+      if (k < start || k > end) continue;
+      const distance = Math.abs(this.time[k] - t);
+      if (distance < bestDistance) {
+        best = k;
+        bestDistance = distance;
+      }
+    }
+    return bestDistance <= maxDistance ? best : -1;
+  }
+
+  // Samples either side of time t and t's fraction of the way between them,
+  // or null outside the log or in a gap between segments
+  bracket(t, segment = null) {
+    const end = segment ? segment.end : this.length - 1;
+    const low = this.indexAtOrBefore(t, segment);
+    if (low < (segment ? segment.start : 0)) return null;
+    if (this.time[low] === t) return { low, high: low, fraction: 0 };
+
+    const high = low + 1;
+    if (high > end || !this.sameSegment(low, high)) return null;
+    return { low, high, fraction: (t - this.time[low]) / (this.time[high] - this.time[low]) };
+  }
+
+  // Value of a column (name or array aligned with the time column) at time
+  // t, linearly interpolated, or null where bracket() finds no samples
+  valueAt(column, t, segment = null) {
+    return this.interpolate(column, this.bracket(t, segment));
+  }
+
+  // Column value at a position returned by bracket()
+  interpolate(column, position) {
+    const values = typeof column === 'string' ? this.columns[column] : column;
+    if (!values) throw new Error(`Unknown column: ${column}`);
+    if (!position) return null;
+
+    const { low, high, fraction } = position;
+    return values[low] + fraction * (values[high] - values[low]);
+  }
+
+  // New series sampled every 1 / rateHz seconds within each segment, with
+  // the selected columns linearly interpolated. Segment gaps are kept: each
+  // segment's first resampled index is a break in the new series.
+  resample(rateHz, columnNames = Object.keys(this.columns)) {
+    if (!(rateHz > 0)) throw new Error('Resampling needs a positive rate');
+    const step = 1 / rateHz;
+
+    const time = [];
+    const breaks = [];
+    const columns = Object.fromEntries(columnNames.map(name => [name, []]));
+    for (const segment of this.segments) {
+      if (time.length > 0) breaks.push(time.length);
+      const count = Math.floor((segment.endTime - segment.startTime) / step + 1e-9) + 1;
+      let low = segment.start;
+      for (let n = 0; n < count; n++) {
+        const t = segment.startTime + n * step;
+        while (low < segment.end && this.time[low + 1] <= t) low++;
+        const high = Math.min(low + 1, segment.end);
+        const span = this.time[high] - this.time[low];
+        const fraction = span > 0 ? (t - this.time[low]) / span : 0;
+
+        time.push(t);
+        for (const name of columnNames) {
+          const values = this.columns[name];
+          columns[name].push(values[low] + fraction * (values[high] - values[low]));
+        }
+      }
+    }
+
+    return new TimeSeries(Float64Array.from(time),
+      Object.fromEntries(columnNames.map(name => [name, Float64Array.from(columns[name])])),
+      { maxGap: Math.max(this.maxGap, step * 1.5), breaks });
+  }
+}
+
+module.exports = { TimeSeries };
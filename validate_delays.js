@@ -2,6 +2,19 @@
 
 const LambdaDelayAnalyzer = require('./analyze_lambda_delay.js');
 
+// Predictive validation of the delay tables.
+//
+// For every cell, lambda is modelled from the fuelling stimulus shifted by a
+// candidate delay d:  lambda(t) = alpha + beta * pw(t - d), with alpha and
+// beta fitted by least squares over the cell's samples. The model is scored
+// (RMSE and R²) at the table's delay, at zero delay (no compensation) and
+// over a sweep of offsets around the table value. A good table beats zero
+// delay and sits close to the sweep's error minimum.
+//
+// Every candidate delay is scored on the same samples: a sample only counts
+// if the shifted stimulus can be interpolated for all of them, within the
+// sample's own log segment (see SEGMENT_MAX_GAP_MS).
+
 // Test configurations
 const testConfigs = [
   { pw: 0.2, lambda: 0.02, label: 'Loose' },
@@ -17,10 +30,75 @@ const baseConfig = {
   BUCKET_COUNT: 3
 };
 
-console.log('Validating delay accuracy: Lambda prediction error analysis\n');
+const VALIDATION = {
+  SWEEP_RANGE_MS: 600,   // Offsets tried either side of the table delay (ms)
+  SWEEP_STEP_MS: 25,     // Offset resolution (ms)
+  MIN_SAMPLES: 50        // Samples a cell needs to be validated
+};
+
+const filename = process.argv[2] || 'example/2025-06-23_08-30-57.msl';
+
+// Stimulus value at time t, interpolated between the samples either side.
+// Null outside the segment or next to a fuel cut sample.
+function stimulusAt(series, fuelCut, values, t, segment) {
+  const position = series.bracket(t, segment);
+  if (!position || fuelCut[position.low] || fuelCut[position.high]) return null;
+  return series.interpolate(values, position);
+}
+
+// Least-squares fit of y = alpha + beta * x from running sums
+function fitScore(sums) {
+  const { n, x, y, xx, yy, xy } = sums;
+  const sxx = xx - x * x / n;
+  const syy = yy - y * y / n;
+  const sxy = xy - x * y / n;
+  if (n < 2 || syy <= 0) return null;
+
+  const residual = sxx > 0 ? Math.max(syy - sxy * sxy / sxx, 0) : syy;
+  return {
+    rmse: Math.sqrt(residual / n),
+    r2: 1 - residual / syy,
+    beta: sxx > 0 ? sxy / sxx : 0
+  };
+}
+
+// Score the candidate delays on one cell's samples
+function validateCell(analyzer, samples, candidates) {
+  const { series } = analyzer;
+  const values = analyzer.data[analyzer.stimulusSignal()];
+  const { time, lambda } = analyzer.data;
+  const sums = candidates.map(() => ({ n: 0, x: 0, y: 0, xx: 0, yy: 0, xy: 0 }));
+  const shifted = new Array(candidates.length);
+
+  for (const k of samples) {
+    const segment = series.segmentOf(k);
+    let usable = true;
+    for (let c = 0; c < candidates.length && usable; c++) {
+      shifted[c] = stimulusAt(series, analyzer.fuelCut, values, time[k] - candidates[c] / 1000, segment);
+      usable = shifted[c] !== null;
+    }
+    if (!usable) continue;
+
+    const y = lambda[k];
+    for (let c = 0; c < candidates.length; c++) {
+      const x = shifted[c];
+      const s = sums[c];
+      s.n++;
+      s.x += x;
+      s.y += y;
+      s.xx += x * x;
+      s.yy += y * y;
+      s.xy += x * y;
+    }
+  }
+
+  return { count: sums[0].n, scores: sums.map(fitScore) };
+}
+
+console.log('Validating delay accuracy: predicting lambda from the delayed stimulus\n');
+console.log(`Log: ${filename}`);
 console.log('='.repeat(100));
 
-// For each configuration, calculate the delay table and then validate it
 const validationResults = [];
 
 for (const tc of testConfigs) {
@@ -30,7 +108,7 @@ for (const tc of testConfigs) {
     LAMBDA_CHANGE_THRESHOLD: tc.lambda
   };
 
-  const analyzer = new LambdaDelayAnalyzer('example/2025-07-09_11-35-15.msl', testConfig);
+  const analyzer = new LambdaDelayAnalyzer(filename, testConfig);
 
   // Suppress output
   const originalLog = console.log;
@@ -40,210 +118,92 @@ for (const tc of testConfigs) {
   analyzer.calculateBucketBoundaries();
   analyzer.assignToBuckets();
   analyzer.calculateDelays();
+  analyzer.fitTransportModel();
 
   console.log = originalLog;
 
-  // Get median delays for each bucket
-  const delayTable = [];
-  for (let i = 0; i < 3; i++) {
-    delayTable[i] = [];
-    for (let j = 0; j < 3; j++) {
-      const delays = analyzer.buckets[i][j].delays;
-      delayTable[i][j] = delays.length > 0 ? analyzer.median(delays) : null;
-    }
-  }
-
-  // Now validate: For each data point, use the delay table to "predict" lambda
-  // Compare predicted lambda (from PW shifted by delay) vs actual lambda
-  const errors = [];
-
-  for (const point of analyzer.data) {
-    const rpmBucket = analyzer.getBucketIndex(point.rpm, analyzer.rpmBoundaries);
-    const loadBucket = analyzer.getBucketIndex(point.load, analyzer.loadBoundaries);
-
-    if (rpmBucket === -1 || loadBucket === -1) continue;
-
-    const estimatedDelay = delayTable[rpmBucket][loadBucket];
-    if (estimatedDelay === null) continue;
-
-    // Find what the PW was 'estimatedDelay' milliseconds ago
-    const targetTime = point.time - (estimatedDelay / 1000);
-
-    // Find closest data point in time to targetTime
-    let closestIdx = -1;
-    let minTimeDiff = Infinity;
+  console.log(`\n${tc.label} (PW: ${tc.pw}, Lambda: ${tc.lambda}):`);
 
-    for (let i = 0; i < analyzer.data.length; i++) {
-      const timeDiff = Math.abs(analyzer.data[i].time - targetTime);
-      if (timeDiff < minTimeDiff) {
-        minTimeDiff = timeDiff;
-        closestIdx = i;
+  const cells = [];
+  for (let i = 0; i < analyzer.rpmBucketCount; i++) {
+    for (let j = 0; j < analyzer.loadBucketCount; j++) {
+      const bucket = analyzer.buckets[i][j];
+      // The delay the table exports, DFCO merge and model-filled cells included
+      const tableDelay = analyzer.tableDelay(bucket);
+      if (tableDelay === null) continue;
+      const label = `Bucket ${i},${j}${bucket.modelled ? '*' : ''}`;
+
+      const samples = bucket.samples.filter(k => !analyzer.fuelCut[k]);
+      const offsets = [];
+      for (let offset = -VALIDATION.SWEEP_RANGE_MS; offset <= VALIDATION.SWEEP_RANGE_MS;
+        offset += VALIDATION.SWEEP_STEP_MS) {
+        if (tableDelay + offset >= 0) offsets.push(offset);
       }
-    }
-
-    // If we found a reasonable historical point (within 500ms)
-    if (closestIdx !== -1 && minTimeDiff < 0.5) {
-      const historicalPW = analyzer.data[closestIdx].pw;
-      const currentLambda = point.lambda;
-
-      // The hypothesis: current lambda should correlate with historical PW
-      // We can't directly predict lambda from PW, but we can check if the
-      // delay-adjusted values show better correlation
-
-      errors.push({
-        rpm: point.rpm,
-        load: point.load,
-        bucket: `${rpmBucket},${loadBucket}`,
-        historicalPW: historicalPW,
-        currentPW: point.pw,
-        currentLambda: currentLambda,
-        estimatedDelay: estimatedDelay,
-        timeDiff: minTimeDiff * 1000
+      const candidates = [0, ...offsets.map(offset => tableDelay + offset)];
+
+      const { count, scores } = validateCell(analyzer, samples, candidates);
+      const zero = scores[0];
+      const sweep = offsets.map((offset, c) => ({ offset, delay: candidates[c + 1], score: scores[c + 1] }))
+        .filter(point => point.score !== null);
+      const table = sweep.find(point => point.offset === 0);
+      if (count < VALIDATION.MIN_SAMPLES || !zero || !table) {
+        console.log(`  ${label}: too few usable samples (${count})`);
+        continue;
+      }
+      const best = sweep.reduce((a, b) => (b.score.rmse < a.score.rmse ? b : a));
+      const atEdge = best === sweep[0] || best === sweep[sweep.length - 1];
+
+      cells.push({
+        bucket: `${i},${j}`,
+        count: count,
+        tableDelay: tableDelay,
+        table: table.score,
+        zero: zero,
+        best: best,
+        improvement: (zero.rmse - table.score.rmse) / zero.rmse * 100
       });
-    }
-  }
-
-  // Calculate lambda variance for each bucket using delay-compensated values
-  const bucketStats = {};
 
-  for (const err of errors) {
-    if (!bucketStats[err.bucket]) {
-      bucketStats[err.bucket] = {
-        lambdas: [],
-        pwChanges: []
-      };
+      console.log(`  ${label}: table ${tableDelay.toFixed(0)} ms ` +
+                  `RMSE=${table.score.rmse.toFixed(4)} R²=${table.score.r2.toFixed(3)} | ` +
+                  `zero RMSE=${zero.rmse.toFixed(4)} R²=${zero.r2.toFixed(3)} | ` +
+                  `best ${best.delay.toFixed(0)} ms (${best.offset >= 0 ? '+' : ''}${best.offset})${atEdge ? '*' : ''} ` +
+                  `RMSE=${best.score.rmse.toFixed(4)} R²=${best.score.r2.toFixed(3)} (n=${count})`);
     }
-    bucketStats[err.bucket].lambdas.push(err.currentLambda);
-    bucketStats[err.bucket].pwChanges.push(err.currentPW - err.historicalPW);
   }
 
-  // Calculate statistics
-  const bucketResults = [];
-  for (const [bucket, stats] of Object.entries(bucketStats)) {
-    if (stats.lambdas.length < 10) continue;
-
-    const lambdaMean = stats.lambdas.reduce((a, b) => a + b, 0) / stats.lambdas.length;
-    const lambdaStdDev = Math.sqrt(
-      stats.lambdas.reduce((a, b) => a + Math.pow(b - lambdaMean, 2), 0) / stats.lambdas.length
-    );
-
-    // Calculate correlation between PW change and Lambda
-    const pwMean = stats.pwChanges.reduce((a, b) => a + b, 0) / stats.pwChanges.length;
-    let correlation = 0;
-    let pwStdDev = Math.sqrt(
-      stats.pwChanges.reduce((a, b) => a + Math.pow(b - pwMean, 2), 0) / stats.pwChanges.length
-    );
-
-    if (pwStdDev > 0 && lambdaStdDev > 0) {
-      for (let i = 0; i < stats.lambdas.length; i++) {
-        correlation += (stats.pwChanges[i] - pwMean) * (stats.lambdas[i] - lambdaMean);
-      }
-      correlation /= (stats.lambdas.length * pwStdDev * lambdaStdDev);
-    }
-
-    bucketResults.push({
-      bucket: bucket,
-      count: stats.lambdas.length,
-      lambdaMean: lambdaMean,
-      lambdaStdDev: lambdaStdDev,
-      lambdaCV: (lambdaStdDev / lambdaMean) * 100,
-      correlation: correlation
-    });
-  }
-
-  validationResults.push({
-    config: tc,
-    bucketResults: bucketResults,
-    totalPoints: errors.length
-  });
-
-  console.log(`\n${tc.label} (PW: ${tc.pw}, Lambda: ${tc.lambda}):`);
-  console.log(`  Validated ${errors.length} data points using delay compensation`);
-  console.log(`  Lambda variability by bucket:`);
-
-  for (const br of bucketResults) {
-    console.log(`    Bucket ${br.bucket}: Mean λ=${br.lambdaMean.toFixed(3)}, ` +
-                `StdDev=${br.lambdaStdDev.toFixed(3)}, CV=${br.lambdaCV.toFixed(1)}%, ` +
-                `PW-λ corr=${br.correlation.toFixed(3)} (n=${br.count})`);
-  }
+  validationResults.push({ config: tc, cells: cells });
 }
 
 console.log('\n' + '='.repeat(100));
-console.log('\nCross-Configuration Lambda Variance Analysis:\n');
-
-// Compare lambda variance across configurations for same buckets
-const bucketComparison = {};
+console.log('\nOVERALL SUMMARY:\n');
 
+console.log('Config        Cells  Beat zero  Mean RMSE gain  Median best offset  Mean R² (table / zero)');
+console.log('-'.repeat(90));
 for (const vr of validationResults) {
-  for (const br of vr.bucketResults) {
-    if (!bucketComparison[br.bucket]) {
-      bucketComparison[br.bucket] = [];
-    }
-    bucketComparison[br.bucket].push({
-      config: vr.config.label,
-      lambdaStdDev: br.lambdaStdDev,
-      lambdaCV: br.lambdaCV,
-      count: br.count
-    });
+  const cells = vr.cells;
+  if (cells.length === 0) {
+    console.log(`${vr.config.label.padEnd(14)}no cells validated`);
+    continue;
   }
-}
-
-console.log('Lambda standard deviation by bucket across configurations:\n');
-console.log('(Lower StdDev = more accurate delay compensation)\n');
-
-for (const [bucket, configs] of Object.entries(bucketComparison)) {
-  console.log(`Bucket ${bucket}:`);
 
-  const stdDevs = configs.map(c => c.lambdaStdDev);
-  const avgStdDev = stdDevs.reduce((a, b) => a + b, 0) / stdDevs.length;
-  const minStdDev = Math.min(...stdDevs);
-  const maxStdDev = Math.max(...stdDevs);
-  const range = maxStdDev - minStdDev;
-  const rangePercent = (range / avgStdDev) * 100;
-
-  for (const c of configs) {
-    console.log(`  ${c.config.padEnd(12)}: λ StdDev=${c.lambdaStdDev.toFixed(3)}, CV=${c.lambdaCV.toFixed(1)}%`);
-  }
-
-  console.log(`  Range: ${range.toFixed(3)} (${rangePercent.toFixed(1)}% of average)`);
-
-  if (rangePercent < 10) {
-    console.log(`  ✓ STABLE: Delay choice has minimal impact on lambda prediction error`);
-  } else if (rangePercent < 25) {
-    console.log(`  ~ MODERATE: Some sensitivity to delay choice`);
-  } else {
-    console.log(`  ✗ VARIABLE: Delay choice significantly affects prediction accuracy`);
-  }
-  console.log('');
-}
-
-// Overall summary
-console.log('='.repeat(100));
-console.log('\nOVERALL SUMMARY:\n');
-
-let totalStable = 0;
-let totalModerate = 0;
-let totalVariable = 0;
-
-for (const [bucket, configs] of Object.entries(bucketComparison)) {
-  const stdDevs = configs.map(c => c.lambdaStdDev);
-  const avgStdDev = stdDevs.reduce((a, b) => a + b, 0) / stdDevs.length;
-  const range = Math.max(...stdDevs) - Math.min(...stdDevs);
-  const rangePercent = (range / avgStdDev) * 100;
-
-  if (rangePercent < 10) totalStable++;
-  else if (rangePercent < 25) totalModerate++;
-  else totalVariable++;
+  const beatZero = cells.filter(c => c.table.rmse < c.zero.rmse).length;
+  const meanGain = cells.reduce((a, c) => a + c.improvement, 0) / cells.length;
+  const offsets = cells.map(c => c.best.offset).sort((a, b) => a - b);
+  const medianOffset = offsets.length % 2 === 0
+    ? (offsets[offsets.length / 2 - 1] + offsets[offsets.length / 2]) / 2
+    : offsets[(offsets.length - 1) / 2];
+  const meanR2 = key => cells.reduce((a, c) => a + c[key].r2, 0) / cells.length;
+
+  console.log(`${vr.config.label.padEnd(14)}${String(cells.length).padEnd(7)}` +
+              `${`${beatZero}/${cells.length}`.padEnd(11)}${`${meanGain.toFixed(1)}%`.padEnd(16)}` +
+              `${`${medianOffset >= 0 ? '+' : ''}${medianOffset} ms`.padEnd(20)}` +
+              `${meanR2('table').toFixed(3)} / ${meanR2('zero').toFixed(3)}`);
 }
 
-const totalBuckets = Object.keys(bucketComparison).length;
-
-console.log(`Analyzed ${totalBuckets} buckets with sufficient data across configurations:`);
-console.log(`  Stable (< 10% variation):    ${totalStable} buckets`);
-console.log(`  Moderate (10-25% variation): ${totalModerate} buckets`);
-console.log(`  Variable (> 25% variation):  ${totalVariable} buckets`);
-
+console.log('\n* after a bucket = delay filled from the transport model');
+console.log('* after an offset = error minimum at the edge of the sweep, the true minimum may lie beyond it');
 console.log('\nInterpretation:');
-console.log('  Lambda StdDev represents the inherent variability in lambda readings');
-console.log('  when using the calculated delay to compensate for sensor lag.');
-console.log('  Lower variation across configs = delay parameter choice matters less.');
+console.log('  RMSE gain is how much the table delay reduces the lambda prediction error');
+console.log('  compared with no delay compensation; negative means the table does worse.');
+console.log('  The best offset shows where the error minimum sits relative to the table');
+console.log('  value: consistently positive or negative offsets mean the table is biased.');